@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Aggregation server (npm run server)
+ * Fetches DefiLlama and the native DEX APIs on a schedule and serves compact,
+ * cached, CORS-enabled endpoints for production builds, where the Vite /api/*
+ * dev proxies do not exist and the browser should not download the full
+ * yields dataset.
+ *
+ * Endpoints:
+ *   GET /api/pools                  Sui pool rows per upstream source, with health (DefiLlama rows
+ *                                   with fee tiers and tier-based fees joined, as in /api/dex-stats)
+ *   GET /api/dex-stats              Per-DEX pool count, TVL, 24h volume / fees, protocol TVL
+ *   GET /api/history?metric=&days=  Daily per-DEX fees | volume | tvl
+ *   GET /api/health                 Upstream health
+ *
+ * Usage:
+ *   npm run server -- [--port <n>] [--interval <minutes>] [--cors-origin <origin>]
+ *                     [--defillama-url <url>] [--cetus-url <url>] ...
+ */
+
+import http from 'node:http';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { configureUpstreams, DEX_API_ORIGINS, UPSTREAMS } from '../src/lib/upstreams.js';
+import { fetchSuiPoolsResult, fetchDexTVL } from '../src/lib/fetch-defillama.js';
+import { fetchAllDexPoolResults } from '../src/lib/dex-apis.js';
+import { DEX_NAMES } from '../src/lib/dex-registry.js';
+import { buildFeeTierIndex, applyFeeTiers } from '../src/lib/fee-tiers.js';
+import { fetchDexHistory, ALL_TIME_DAYS } from '../src/lib/dex-history.js';
+import { getSourceHealth, SOURCE_STATUS } from '../src/lib/source-health.js';
+
+export const SERVER_DEFAULTS = {
+    port: 8787,
+    intervalMinutes: 5,         // Pool / DEX stats refresh schedule
+    corsOrigin: '*',
+    historyTtlMs: 30 * 60 * 1000,
+    maxHistoryDays: ALL_TIME_DAYS,
+    maxAgeSeconds: 60,          // Cache-Control for clients
+};
+
+export const HISTORY_METRICS = ['fees', 'volume', 'tvl'];
+
+// CLI flag -> upstream key and environment variable
+const UPSTREAM_OPTIONS = {
+    'defillama-url': { key: 'defillama', env: 'DEFILLAMA_API_URL' },
+    'defillama-volumes-url': { key: 'defillamaVolumes', env: 'DEFILLAMA_VOLUMES_URL' },
+    'defillama-yields-url': { key: 'defillamaYields', env: 'DEFILLAMA_YIELDS_URL' },
+    'cetus-url': { key: 'cetus', env: 'CETUS_API_URL', fallback: DEX_API_ORIGINS.cetus },
+    'momentum-url': { key: 'momentum', env: 'MOMENTUM_API_URL', fallback: DEX_API_ORIGINS.momentum },
+    'bluefin-url': { key: 'bluefin', env: 'BLUEFIN_API_URL', fallback: DEX_API_ORIGINS.bluefin },
+};
+
+const HELP = `Usage: npm run server -- [options]
+
+Options:
+  --port <n>                     Listen port (env: PORT, default: ${SERVER_DEFAULTS.port})
+  --interval <minutes>           Upstream refresh interval (env: REFRESH_INTERVAL_MINUTES,
+                                 default: ${SERVER_DEFAULTS.intervalMinutes})
+  --cors-origin <origin>         Access-Control-Allow-Origin (env: CORS_ORIGIN, default: *)
+${Object.entries(UPSTREAM_OPTIONS).map(([flag, { key, env, fallback }]) =>
+        `  --${flag.padEnd(29)}Base URL (env: ${env}, default: ${fallback || UPSTREAMS[key]})`).join('\n')}
+  -h, --help                     Show this help
+`;
+
+/**
+ * Keep the last good rows when a source fails, marked stale
+ */
+function keepLastGood(result, previous) {
+    if (result.status !== SOURCE_STATUS.ERROR || !previous?.data) return result;
+    return { ...previous, status: SOURCE_STATUS.STALE, stale: true, error: result.error };
+}
+
+/**
+ * Per-DEX totals from DefiLlama rows (fee tiers joined from the native APIs)
+ */
+function buildDexStats(pools, protocolTvl) {
+    const stats = {};
+    for (const dex of DEX_NAMES) {
+        stats[dex] = { poolCount: 0, tvl: 0, volume24h: 0, fees24h: 0, protocolTvl: protocolTvl[dex] ?? null };
+    }
+
+    for (const pool of pools) {
+        const entry = stats[pool.dex];
+        if (!entry) continue;
+        entry.poolCount++;
+        entry.tvl += pool.tvl || 0;
+        entry.volume24h += pool.volume_24h || 0;
+        entry.fees24h += pool.fees_24h || 0;
+    }
+
+    return stats;
+}
+
+/**
+ * Create the aggregation server (not yet listening)
+ * @param {Object} options - { intervalMinutes, corsOrigin, historyTtlMs, maxHistoryDays, maxAgeSeconds }
+ * @returns {Object} { server, refresh, stop }
+ */
+export function createAggregationServer(options = {}) {
+    const config = { ...SERVER_DEFAULTS, ...options };
+    const state = { pools: null, dexStats: null, history: new Map() };
+    let refreshing = null;
+
+    // Fetch every pool source and rebuild the DEX stats
+    const refresh = () => {
+        if (refreshing) return refreshing;
+
+        refreshing = (async () => {
+            const start = Date.now();
+            const [llama, dexResults, tvls] = await Promise.all([
+                fetchSuiPoolsResult({ forceRefresh: true, allowStale: false }),
+                fetchAllDexPoolResults(),
+                Promise.all(DEX_NAMES.map(async dex => [dex, await fetchDexTVL(dex)])),
+            ]);
+
+            // DefiLlama rows are served with fee tiers joined, so /api/pools and /api/dex-stats agree
+            const nativeRows = Object.values(dexResults).flatMap(r => r.data || []);
+            const tieredLlama = llama.data
+                ? { ...llama, data: applyFeeTiers(llama.data, buildFeeTierIndex(nativeRows)) }
+                : llama;
+
+            const previous = state.pools?.sources || {};
+            const sources = { DefiLlama: keepLastGood(tieredLlama, previous.DefiLlama) };
+            for (const [dex, result] of Object.entries(dexResults)) {
+                sources[dex] = keepLastGood(result, previous[dex]);
+            }
+            const fetchedAt = new Date().toISOString();
+
+            state.pools = { fetchedAt, sources };
+            state.dexStats = {
+                fetchedAt,
+                source: 'DefiLlama',
+                dexes: buildDexStats(sources.DefiLlama.data || [], Object.fromEntries(tvls)),
+            };
+
+            const failed = Object.values(sources).filter(s => s.status !== SOURCE_STATUS.OK).map(s => s.label);
+            console.log(`[Server] Refreshed pools in ${Date.now() - start}ms${failed.length ? ` (degraded: ${failed.join(', ')})` : ''}`);
+        })()
+            .catch(e => console.error('[Server] Refresh failed:', e))
+            .finally(() => {
+                refreshing = null;
+            });
+
+        return refreshing;
+    };
+
+    // History is fetched on demand and cached per period
+    const getHistory = (days) => {
+        const cached = state.history.get(days);
+        if (cached && Date.now() - cached.fetchedAt < config.historyTtlMs) return cached.promise;
+
+        const promise = fetchDexHistory({ period: days, source: 'defillama', forceRefresh: !!cached });
+        state.history.set(days, { promise, fetchedAt: Date.now() });
+        promise.catch(() => state.history.delete(days));
+        return promise;
+    };
+
+    const send = (res, status, body, maxAge = config.maxAgeSeconds) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': config.corsOrigin,
+            'Cache-Control': status === 200 ? `public, max-age=${maxAge}` : 'no-store',
+        });
+        res.end(JSON.stringify(body));
+    };
+
+    const routes = {
+        '/api/pools': async () => {
+            if (!state.pools) await refresh();
+            return state.pools || Promise.reject(new Error('Pool data not available yet'));
+        },
+        '/api/dex-stats': async () => {
+            if (!state.dexStats) await refresh();
+            return state.dexStats || Promise.reject(new Error('DEX stats not available yet'));
+        },
+        '/api/history': async (params) => {
+            const metric = params.get('metric');
+            const days = Number(params.get('days') || 30);
+            if (!HISTORY_METRICS.includes(metric)) {
+                throw Object.assign(new Error(`metric must be one of ${HISTORY_METRICS.join(', ')}`), { status: 400 });
+            }
+            if (!Number.isInteger(days) || days < 1 || days > config.maxHistoryDays) {
+                throw Object.assign(new Error(`days must be an integer from 1 to ${config.maxHistoryDays}`), { status: 400 });
+            }
+
+            const history = await getHistory(days);
+            const failure = history.failures.find(f => f.series === metric);
+            return {
+                metric,
+                days,
+                daily: history[metric],
+                error: failure?.error || null,
+                fetchedAt: new Date(state.history.get(days)?.fetchedAt || Date.now()).toISOString(),
+            };
+        },
+        '/api/health': async () => ({ sources: getSourceHealth() }),
+    };
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': config.corsOrigin,
+                'Access-Control-Allow-Methods': 'GET, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Max-Age': '86400',
+            });
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes[url.pathname];
+        if (!route) return send(res, 404, { error: `Not found: ${url.pathname}` });
+        if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+
+        try {
+            send(res, 200, await route(url.searchParams));
+        } catch (e) {
+            const status = e.status || 503;
+            if (status >= 500) console.error(`[Server] ${url.pathname} failed:`, e.message);
+            send(res, status, { error: e.message });
+        }
+    });
+
+    const timer = setInterval(refresh, config.intervalMinutes * 60 * 1000);
+    timer.unref?.();
+
+    const stop = () => new Promise(resolveStop => {
+        clearInterval(timer);
+        server.close(() => resolveStop());
+    });
+
+    return { server, refresh, stop };
+}
+
+/**
+ * Parse CLI args / environment into server options and upstream overrides
+ */
+export function parseServerArgs(argv, env = process.env) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string' },
+            interval: { type: 'string' },
+            'cors-origin': { type: 'string' },
+            ...Object.fromEntries(Object.keys(UPSTREAM_OPTIONS).map(flag => [flag, { type: 'string' }])),
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    const upstreams = {};
+    for (const [flag, { key, env: envName, fallback }] of Object.entries(UPSTREAM_OPTIONS)) {
+        const url = values[flag] || env[envName] || fallback;
+        if (url) upstreams[key] = url;
+    }
+
+    const port = Number(values.port || env.PORT || SERVER_DEFAULTS.port);
+    const intervalMinutes = Number(values.interval || env.REFRESH_INTERVAL_MINUTES || SERVER_DEFAULTS.intervalMinutes);
+    if (!Number.isInteger(port) || port < 0) throw new Error(`Invalid port: ${values.port || env.PORT}`);
+    if (!(intervalMinutes > 0)) throw new Error(`Invalid interval: ${values.interval || env.REFRESH_INTERVAL_MINUTES}`);
+
+    return {
+        help: !!values.help,
+        port,
+        intervalMinutes,
+        corsOrigin: values['cors-origin'] || env.CORS_ORIGIN || SERVER_DEFAULTS.corsOrigin,
+        upstreams,
+    };
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseServerArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(HELP);
+        process.exit(1);
+    }
+    if (args.help) {
+        console.log(HELP);
+        return;
+    }
+
+    configureUpstreams(args.upstreams);
+    const { server, refresh, stop } = createAggregationServer(args);
+
+    server.listen(args.port, () => {
+        console.log(`[Server] Listening on http://localhost:${server.address().port} (refresh every ${args.intervalMinutes}m)`);
+        refresh();
+    });
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => stop().then(() => process.exit(0)));
+    }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
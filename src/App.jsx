@@ -1,6 +1,11 @@
 import React from 'react';
 import SuiDexDashboard from './components/SuiDexDashboard';
+import { DashboardDataProvider } from './components/DashboardDataProvider';
 
 export default function App() {
-  return <SuiDexDashboard />;
+  return (
+    <DashboardDataProvider>
+      <SuiDexDashboard />
+    </DashboardDataProvider>
+  );
 }
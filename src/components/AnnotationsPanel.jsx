@@ -0,0 +1,230 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Flag, Pencil, Trash2, Download, Upload } from 'lucide-react';
+import { saveAnnotation, removeAnnotation, exportAnnotations, importAnnotations } from '../lib/annotations';
+import { DEX_NAMES } from '../lib/dex-registry';
+import { downloadFile, exportFileName } from '../lib/export';
+import { useDashboardData } from './DashboardDataProvider';
+
+// savedPool keeps an edited event's pool when it is not in the current pool list
+const EMPTY_FORM = { id: null, date: '', label: '', note: '', tag: 'none', dex: DEX_NAMES[0], pool: '', savedPool: null };
+
+// Pool picker entries: "<name> · <dex>" -> pool
+const poolOptionLabel = (pool) => `${pool.name} · ${pool.dex}`;
+
+/**
+ * Download the annotations as a JSON file
+ */
+const downloadAnnotations = () => {
+    downloadFile(exportFileName('sui-dex-events', 'json'), JSON.stringify(exportAnnotations(), null, 2), 'application/json');
+};
+
+/**
+ * Events panel
+ * Edits the event annotations drawn on the history charts, and imports /
+ * exports them as JSON.
+ */
+const AnnotationsPanel = () => {
+    const { annotations, pools } = useDashboardData();
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [message, setMessage] = useState(null);
+    const fileInput = useRef(null);
+
+    const poolOptions = useMemo(() => {
+        const byLabel = new Map();
+        for (const pool of [...pools].sort((a, b) => (b.tvl || 0) - (a.tvl || 0))) {
+            if (!byLabel.has(poolOptionLabel(pool))) byLabel.set(poolOptionLabel(pool), pool);
+        }
+        return byLabel;
+    }, [pools]);
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const savedPool = form.savedPool && form.pool === poolOptionLabel(form.savedPool) ? form.savedPool : null;
+        const pool = form.tag === 'pool' ? poolOptions.get(form.pool) || savedPool : null;
+        if (form.tag === 'pool' && !pool) {
+            setMessage({ error: true, text: 'Pick a pool from the list' });
+            return;
+        }
+
+        try {
+            saveAnnotation({
+                id: form.id || undefined,
+                date: form.date,
+                label: form.label,
+                note: form.note,
+                dex: form.tag === 'dex' ? form.dex : pool?.dex || null,
+                poolId: pool?.id || null,
+                poolName: pool?.name || null,
+            });
+            setForm(EMPTY_FORM);
+            setMessage(null);
+        } catch (err) {
+            setMessage({ error: true, text: err.message });
+        }
+    };
+
+    const startEdit = (event) => {
+        const savedPool = event.poolId ? { id: event.poolId, name: event.poolName || event.poolId, dex: event.dex } : null;
+        setForm({
+            id: event.id,
+            date: event.date,
+            label: event.label,
+            note: event.note,
+            tag: event.poolId ? 'pool' : event.dex ? 'dex' : 'none',
+            dex: event.dex || DEX_NAMES[0],
+            pool: savedPool
+                ? [...poolOptions.keys()].find(key => poolOptions.get(key).id === event.poolId) || poolOptionLabel(savedPool)
+                : '',
+            savedPool,
+        });
+    };
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = importAnnotations(JSON.parse(await file.text()));
+            setMessage({ text: `Imported ${imported} event${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} invalid` : ''}` });
+        } catch (e) {
+            console.error('[Annotations] Import failed:', e);
+            setMessage({ error: true, text: `Import failed: ${e.message}` });
+        }
+    };
+
+    return (
+        <div className="efficiency-card">
+            <div className="efficiency-header">
+                <div className="efficiency-title">
+                    <Flag size={20} />
+                    <h3>Events</h3>
+                </div>
+
+                <div className="filter-controls">
+                    <button className="period-btn flex items-center gap-2" onClick={downloadAnnotations} disabled={!annotations.length}>
+                        <Download size={14} />
+                        Export JSON
+                    </button>
+                    <button className="period-btn flex items-center gap-2" onClick={() => fileInput.current?.click()}>
+                        <Upload size={14} />
+                        Import JSON
+                    </button>
+                    <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+                </div>
+            </div>
+
+            <form className="flex flex-wrap items-center gap-2 mb-4 text-sm" onSubmit={handleSubmit}>
+                <input
+                    type="date"
+                    value={form.date}
+                    onChange={update('date')}
+                    required
+                    className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200"
+                />
+                <input
+                    type="text"
+                    value={form.label}
+                    onChange={update('label')}
+                    placeholder="Label (e.g. Epoch 12 incentives)"
+                    required
+                    className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200 flex-1 min-w-[12rem]"
+                />
+                <select
+                    value={form.tag}
+                    onChange={update('tag')}
+                    className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200"
+                >
+                    <option value="none">All charts</option>
+                    <option value="dex">DEX</option>
+                    <option value="pool">Pool</option>
+                </select>
+                {form.tag === 'dex' && (
+                    <select
+                        value={form.dex}
+                        onChange={update('dex')}
+                        className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200"
+                    >
+                        {DEX_NAMES.map(dex => <option key={dex} value={dex}>{dex}</option>)}
+                    </select>
+                )}
+                {form.tag === 'pool' && (
+                    <>
+                        <input
+                            type="text"
+                            list="annotation-pools"
+                            value={form.pool}
+                            onChange={update('pool')}
+                            placeholder="Pool"
+                            className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200 min-w-[14rem]"
+                        />
+                        <datalist id="annotation-pools">
+                            {[...poolOptions.keys()].map(key => <option key={key} value={key} />)}
+                        </datalist>
+                    </>
+                )}
+                <input
+                    type="text"
+                    value={form.note}
+                    onChange={update('note')}
+                    placeholder="Note (optional)"
+                    className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1.5 text-slate-200 flex-1 min-w-[10rem]"
+                />
+                <button type="submit" className="period-btn active">{form.id ? 'Save' : 'Add event'}</button>
+                {form.id && (
+                    <button type="button" className="period-btn" onClick={() => setForm(EMPTY_FORM)}>Cancel</button>
+                )}
+            </form>
+
+            {message && (
+                <p className={`text-xs mb-3 ${message.error ? 'text-red-400' : 'text-slate-400'}`}>{message.text}</p>
+            )}
+
+            {annotations.length === 0 ? (
+                <div className="reconcile-empty">
+                    <p>No events yet. Add incentive epochs, pool launches or listings to mark them on the charts.</p>
+                </div>
+            ) : (
+                <div className="efficiency-table-wrapper">
+                    <table className="efficiency-table">
+                        <thead>
+                            <tr>
+                                <th className="efficiency-th">Date</th>
+                                <th className="efficiency-th">Event</th>
+                                <th className="efficiency-th">Shown on</th>
+                                <th className="efficiency-th">Note</th>
+                                <th className="efficiency-th"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {annotations.map(event => (
+                                <tr key={event.id}>
+                                    <td className="font-mono">{event.date}</td>
+                                    <td>{event.label}</td>
+                                    <td className="text-slate-400">
+                                        {event.poolId ? `Pool ${event.poolName || event.poolId}` : event.dex ? event.dex : 'All charts'}
+                                    </td>
+                                    <td className="text-slate-400">{event.note || '-'}</td>
+                                    <td>
+                                        <div className="flex gap-2 justify-end">
+                                            <button className="refresh-btn" onClick={() => startEdit(event)} title="Edit">
+                                                <Pencil size={14} />
+                                            </button>
+                                            <button className="refresh-btn" onClick={() => removeAnnotation(event.id)} title="Delete">
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AnnotationsPanel;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { ReferenceLine } from 'recharts';
+
+const MARKER_COLOR = '#cbd5e1';
+const MAX_LABEL_LENGTH = 24;
+
+const markerLabel = ({ events }) => {
+    const first = events[0].label.length > MAX_LABEL_LENGTH
+        ? `${events[0].label.slice(0, MAX_LABEL_LENGTH - 1)}…`
+        : events[0].label;
+    return events.length > 1 ? `${first} +${events.length - 1}` : first;
+};
+
+/**
+ * Vertical event markers for a recharts chart
+ * Returns ReferenceLine elements (call inside the chart's children, not as a
+ * component, so recharts sees them as direct children).
+ * @param {Array} markers - From placeAnnotations: [{ x, date, events }]
+ * @returns {Array} ReferenceLine elements
+ */
+export const renderAnnotationLines = (markers) => markers.map(marker => (
+    <ReferenceLine
+        key={`annotation-${marker.x}`}
+        x={marker.x}
+        stroke={MARKER_COLOR}
+        strokeDasharray="3 3"
+        strokeOpacity={0.7}
+        ifOverflow="extendDomain"
+        label={{ value: markerLabel(marker), position: 'insideTopLeft', fill: MARKER_COLOR, fontSize: 10 }}
+    />
+));
+
+/**
+ * Tooltip lines for the events on the hovered point
+ */
+export const AnnotationTooltipItems = ({ marker }) => {
+    if (!marker) return null;
+    return (
+        <div className="mt-1 pt-1 border-t border-slate-700">
+            {marker.events.map(event => (
+                <p key={event.id} className="text-slate-300 text-xs">
+                    ⚑ {event.date}: {event.label}
+                    {event.dex || event.poolName ? <span className="text-slate-500"> ({event.poolName || event.dex})</span> : null}
+                </p>
+            ))}
+        </div>
+    );
+};
@@ -0,0 +1,225 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
+import {
+    fetchPoolData,
+    subscribePoolData,
+    getDataSourceMode,
+    setDataSourceMode,
+    DATA_SOURCE_MODES,
+} from '../lib/data-source';
+import { fetchDexHistory, historyFetchDays, HISTORY_SOURCES } from '../lib/dex-history';
+import { calculateEfficiencyMetrics } from '../lib/efficiency';
+import { getAnnotations, subscribeAnnotations } from '../lib/annotations';
+import { URL_CODECS, oneOf, setUrlParams } from '../lib/url-state';
+import { useUrlState } from './useUrlState';
+
+/**
+ * Dashboard data store
+ * Owns pool data (current + rolling-window), DEX history series, the DEX
+ * efficiency scorecard, and their loading / error state so every panel reads
+ * the same data and the header Refresh reloads them together under one
+ * lastUpdated timestamp. Also exposes the event annotations list.
+ * The data source mode, the history range / source and the scorecard period
+ * are kept in the URL.
+ */
+const DashboardDataContext = createContext(null);
+
+const EMPTY_HISTORY = { fees: [], volume: [], tvl: [] };
+
+// History period: days back, 'all' or 'custom' (with start / end)
+const HISTORY_PERIOD_CODEC = {
+    parse: (raw) => (raw === 'all' || raw === 'custom' ? raw : URL_CODECS.positiveInt.parse(raw)),
+    serialize: (value) => String(value),
+};
+const HISTORY_SOURCE_CODEC = oneOf(HISTORY_SOURCES.map(source => source.key));
+const MODE_CODEC = oneOf(Object.values(DATA_SOURCE_MODES));
+
+export const DashboardDataProvider = ({ children }) => {
+    // Data source mode: always written to the URL, so a shared link opens in the
+    // sender's mode; a link without one uses the stored preference
+    const [urlMode, setUrlMode] = useUrlState('mode', null, { codec: MODE_CODEC });
+    const mode = urlMode || getDataSourceMode();
+
+    // Pool data: current snapshot, plus the rolling-window variant once a panel asks for it
+    const [poolData, setPoolData] = useState(null);
+    const [windowPoolData, setWindowPoolData] = useState(null);
+    const [windowPoolsRequested, setWindowPoolsRequested] = useState(false);
+
+    // DEX history series for the historical chart (period: days | 'all' | 'custom' with start / end)
+    const [historyPeriod, setHistoryPeriod] = useUrlState('period', 30, { codec: HISTORY_PERIOD_CODEC });
+    const [historyStart, setHistoryStart] = useUrlState('start', null, { codec: URL_CODECS.date });
+    const [historyEnd, setHistoryEnd] = useUrlState('end', null, { codec: URL_CODECS.date });
+    const [historySource, setHistorySource] = useUrlState('source', 'defillama', { codec: HISTORY_SOURCE_CODEC });
+    const historyQuery = useMemo(
+        () => ({ period: historyPeriod, start: historyStart, end: historyEnd, source: historySource }),
+        [historyPeriod, historyStart, historyEnd, historySource]
+    );
+    const historySetters = { period: setHistoryPeriod, start: setHistoryStart, end: setHistoryEnd, source: setHistorySource };
+    const [history, setHistory] = useState(EMPTY_HISTORY);
+
+    // DEX efficiency scorecard (current vs previous period)
+    const [efficiencyPeriod, setEfficiencyPeriod] = useUrlState('effPeriod', 7, { codec: URL_CODECS.positiveInt });
+    const [efficiency, setEfficiency] = useState(null);
+
+    // User event annotations (localStorage; edited through lib/annotations)
+    const [annotations, setAnnotations] = useState(getAnnotations);
+
+    const [loading, setLoading] = useState({ pools: true, windowPools: false, history: true, efficiency: true });
+    const [errors, setErrors] = useState({ pools: null, windowPools: null, history: null, efficiency: null });
+    const [lastUpdated, setLastUpdated] = useState(null);
+    // Slices whose last load failed (a failed refresh keeps the previous lastUpdated)
+    const [failedSlices, setFailedSlices] = useState([]);
+    const [refreshing, setRefreshing] = useState(false);
+
+    // Latest request per slice; older responses are dropped
+    const requestIds = useRef({ pools: 0, windowPools: 0, history: 0, efficiency: 0 });
+    const initialized = useRef(false);
+
+    // Resolves false when the load failed (superseded loads count as succeeded)
+    const runSlice = async (slice, load, apply) => {
+        const id = ++requestIds.current[slice];
+        setLoading(prev => ({ ...prev, [slice]: true }));
+        setErrors(prev => ({ ...prev, [slice]: null }));
+
+        try {
+            const data = await load();
+            if (id === requestIds.current[slice]) {
+                apply(data);
+                setFailedSlices(prev => prev.filter(name => name !== slice));
+            }
+            return true;
+        } catch (e) {
+            console.error(`[DataStore] ${slice} load failed:`, e);
+            if (id !== requestIds.current[slice]) return true;
+            setErrors(prev => ({ ...prev, [slice]: e.message || 'Failed to load data' }));
+            setFailedSlices(prev => (prev.includes(slice) ? prev : [...prev, slice]));
+            return false;
+        } finally {
+            if (id === requestIds.current[slice]) {
+                setLoading(prev => ({ ...prev, [slice]: false }));
+            }
+        }
+    };
+
+    const loadPools = (forceRefresh = false) =>
+        runSlice('pools', () => fetchPoolData({ mode, forceRefresh }), setPoolData);
+
+    const loadWindowPools = (forceRefresh = false) =>
+        runSlice('windowPools', () => fetchPoolData({ mode, forceRefresh, withHistory: true }), setWindowPoolData);
+
+    const loadHistory = (forceRefresh = false) =>
+        runSlice('history', () => fetchDexHistory({
+            source: historyQuery.source,
+            period: historyFetchDays(historyQuery),
+            mode,
+            forceRefresh,
+        }), setHistory);
+
+    const loadEfficiency = (forceRefresh = false) =>
+        runSlice('efficiency', () => calculateEfficiencyMetrics(efficiencyPeriod, { forceRefresh }), setEfficiency);
+
+    // Reload every slice together; lastUpdated is only stamped when all of them loaded
+    const loadAll = async (forceRefresh = false) => {
+        setRefreshing(true);
+        const results = await Promise.all([
+            loadPools(forceRefresh),
+            windowPoolsRequested ? loadWindowPools(forceRefresh) : true,
+            loadHistory(forceRefresh),
+            loadEfficiency(forceRefresh),
+        ]);
+        if (results.every(Boolean)) setLastUpdated(new Date());
+        setRefreshing(false);
+    };
+
+    // Keep the data source (and the stored preference) on the URL's mode; runs before the load below
+    const previousMode = useRef(mode);
+    useEffect(() => {
+        if (!urlMode) setUrlParams({ mode }, { replace: true });
+        if (mode !== getDataSourceMode()) setDataSourceMode(mode);
+        if (mode !== previousMode.current) {
+            previousMode.current = mode;
+            setWindowPoolData(null);
+        }
+    }, [mode, urlMode]);
+
+    // Initial load and mode switches (mode picker, back / forward, links)
+    useEffect(() => {
+        loadAll(false);
+    }, [mode]);
+
+    // Query changes after mount only reload their own slice
+    useEffect(() => {
+        if (initialized.current) loadHistory(false);
+    }, [historyQuery]);
+
+    useEffect(() => {
+        if (initialized.current) loadEfficiency(false);
+    }, [efficiencyPeriod]);
+
+    useEffect(() => {
+        if (initialized.current && windowPoolsRequested) loadWindowPools(false);
+    }, [windowPoolsRequested]);
+
+    useEffect(() => {
+        initialized.current = true;
+    }, []);
+
+    useEffect(() => subscribeAnnotations(setAnnotations), []);
+
+    // Cached data is served first; apply background revalidations as they land
+    useEffect(() => subscribePoolData(mode, setPoolData), [mode]);
+    useEffect(
+        () => windowPoolsRequested ? subscribePoolData(mode, setWindowPoolData, { withHistory: true }) : undefined,
+        [mode, windowPoolsRequested]
+    );
+
+    const changeMode = (nextMode) => {
+        if (nextMode !== mode) setUrlMode(nextMode);
+    };
+
+    const value = {
+        mode,
+        changeMode,
+        poolData,
+        pools: poolData?.pools || [],
+        windowPoolData,
+        // Marked loading right away so the first request doesn't render as an empty table
+        requestWindowPools: () => {
+            if (windowPoolsRequested) return;
+            setLoading(prev => ({ ...prev, windowPools: true }));
+            setWindowPoolsRequested(true);
+        },
+        retryWindowPools: () => loadWindowPools(false),
+        historyQuery,
+        setHistoryQuery: (query) => {
+            for (const [field, value] of Object.entries(query)) historySetters[field]?.(value);
+        },
+        history,
+        efficiencyPeriod,
+        setEfficiencyPeriod,
+        efficiency,
+        annotations,
+        loading,
+        errors,
+        lastUpdated,
+        failedSlices,
+        refreshing,
+        refresh: () => loadAll(true),
+    };
+
+    return (
+        <DashboardDataContext.Provider value={value}>
+            {children}
+        </DashboardDataContext.Provider>
+    );
+};
+
+/**
+ * Read the shared dashboard data store
+ */
+export const useDashboardData = () => {
+    const context = useContext(DashboardDataContext);
+    if (!context) throw new Error('useDashboardData must be used inside <DashboardDataProvider>');
+    return context;
+};
+
+export default DashboardDataProvider;
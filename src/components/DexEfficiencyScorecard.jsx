@@ -0,0 +1,231 @@
+import React, { useMemo } from 'react';
+import { Gauge, RefreshCw, Info } from 'lucide-react';
+import { EFFICIENCY_METRICS } from '../lib/efficiency';
+import { DEX_NAMES, dexColor } from '../lib/dex-registry';
+import { oneOf } from '../lib/url-state';
+import { useDashboardData } from './DashboardDataProvider';
+import { useUrlState } from './useUrlState';
+
+// Period options
+const PERIODS = [
+    { days: 1, label: '1d' },
+    { days: 7, label: '7d' },
+    { days: 30, label: '30d' },
+    { days: 90, label: '90d' },
+];
+
+const RANK_BY_CODEC = oneOf(EFFICIENCY_METRICS.map(m => m.key));
+
+// Format helpers
+const formatNumber = (num) => {
+    if (!num || isNaN(num)) return '-';
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+    return `$${num.toFixed(0)}`;
+};
+
+const formatMetric = (metric, value) => {
+    if (!value || isNaN(value)) return '-';
+    if (metric.unit === 'x') return `${value.toFixed(2)}x`;
+    return `${value.toFixed(value < 1 ? 3 : 2)}%`;
+};
+
+// Relative change vs the previous period (null when there is nothing to compare)
+const relativeChange = (current, previous) => {
+    if (!previous || !current) return null;
+    return (current - previous) / previous;
+};
+
+const DeltaLabel = ({ change, higherIsBetter }) => {
+    if (change === null) return <span className="reconcile-delta">no prior data</span>;
+    const className = !higherIsBetter || Math.abs(change) < 0.005
+        ? 'reconcile-delta'
+        : `reconcile-delta ${change > 0 ? 'highlight-good' : 'highlight-bad'}`;
+    return (
+        <span className={className}>
+            {change > 0 ? '▲' : change < 0 ? '▼' : ''} {(Math.abs(change) * 100).toFixed(1)}% vs prev
+        </span>
+    );
+};
+
+const DexEfficiencyScorecard = () => {
+    const [rankBy, setRankBy] = useUrlState('rankBy', 'feeToTvl', { codec: RANK_BY_CODEC });
+    const {
+        efficiency,
+        efficiencyPeriod: period,
+        setEfficiencyPeriod,
+        loading: loadingState,
+        errors,
+        refresh,
+        refreshing,
+    } = useDashboardData();
+    const loading = loadingState.efficiency;
+
+    // DEXs with any fees / volume / TVL in the period; the rest are listed unranked
+    const { rows, ranks } = useMemo(() => {
+        const metrics = efficiency?.metrics || {};
+        const active = DEX_NAMES.filter(dex => {
+            const m = metrics[dex];
+            return m && (m.tvl > 0 || m.fees > 0 || m.volume > 0);
+        });
+
+        // Competition ranking: equal values share a rank
+        const ranks = {};
+        for (const metric of EFFICIENCY_METRICS) {
+            const values = active.map(dex => metrics[dex][metric.key]);
+            ranks[metric.key] = Object.fromEntries(active.map(dex => [
+                dex,
+                1 + values.filter(v => v > metrics[dex][metric.key]).length,
+            ]));
+        }
+
+        const rankKey = ranks[rankBy];
+        const rows = [
+            ...[...active].sort((a, b) => rankKey[a] - rankKey[b]),
+            ...DEX_NAMES.filter(dex => !active.includes(dex)),
+        ];
+        return { rows, ranks };
+    }, [efficiency, rankBy]);
+
+    const rangeLabel = useMemo(() => {
+        const range = efficiency?.range;
+        if (!range) return null;
+        const current = `${range.current[0]} → ${range.current[1]}`;
+        return range.previous
+            ? `${current}, compared with ${range.previous[0]} → ${range.previous[1]}`
+            : `${current} (no previous period of equal length available)`;
+    }, [efficiency]);
+
+    const failures = efficiency?.failures || [];
+    const error = errors.efficiency
+        ? 'Failed to load efficiency metrics'
+        : !loading && efficiency && !efficiency.range
+            ? (failures.length ? `Source unavailable: ${failures.map(f => f.error).join('; ')}` : 'No fee or volume history available')
+            : null;
+
+    return (
+        <div className="efficiency-card">
+            <div className="efficiency-header">
+                <div className="efficiency-title">
+                    <Gauge size={20} />
+                    <h3>DEX Capital Efficiency Scorecard</h3>
+                </div>
+
+                <div className="filter-controls">
+                    <div className="period-selector">
+                        {PERIODS.map(p => (
+                            <button
+                                key={p.days}
+                                className={`period-btn ${period === p.days ? 'active' : ''}`}
+                                onClick={() => setEfficiencyPeriod(p.days)}
+                            >
+                                {p.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <button className="refresh-btn" onClick={refresh} disabled={refreshing}>
+                        <RefreshCw size={16} className={refreshing || loading ? 'spin' : ''} />
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading-spinner">
+                    <RefreshCw className="spin" size={20} />
+                    <span>Loading DEX fees, volume and TVL...</span>
+                </div>
+            ) : error ? (
+                <div className="reconcile-empty">{error}</div>
+            ) : efficiency && (
+                <>
+                    <div className="pagination-info">
+                        {rangeLabel}
+                        {failures.length > 0 && (
+                            <span className="text-amber-400"> • Partial data — {failures.map(f => f.error).join('; ')}</span>
+                        )}
+                    </div>
+
+                    <div className="efficiency-table-wrapper">
+                        <table className="efficiency-table">
+                            <thead>
+                                <tr>
+                                    <th className="efficiency-th">DEX</th>
+                                    <th className="efficiency-th" title="Average daily TVL over the period">Avg TVL</th>
+                                    <th className="efficiency-th">Fees</th>
+                                    <th className="efficiency-th">Volume</th>
+                                    {EFFICIENCY_METRICS.map(m => (
+                                        <th
+                                            key={m.key}
+                                            className="efficiency-th sortable"
+                                            onClick={() => setRankBy(m.key)}
+                                            title={`${m.description} Click to rank by this metric.`}
+                                        >
+                                            {m.label} {rankBy === m.key && <span className="sort-indicator">▼</span>}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(dex => {
+                                    const current = efficiency.metrics[dex];
+                                    const previous = efficiency.previous?.[dex];
+                                    const ranked = ranks[rankBy][dex] !== undefined;
+                                    return (
+                                        <tr key={dex}>
+                                            <td>
+                                                <div className="dex-name-cell">
+                                                    <span className="dex-indicator" style={{ backgroundColor: dexColor(dex) }} />
+                                                    {dex}
+                                                </div>
+                                            </td>
+                                            <td>{formatNumber(current?.tvl)}</td>
+                                            <td>{formatNumber(current?.fees)}</td>
+                                            <td>{formatNumber(current?.volume)}</td>
+                                            {EFFICIENCY_METRICS.map(m => (
+                                                <td key={m.key}>
+                                                    {ranked ? (
+                                                        <>
+                                                            <span className={ranks[m.key][dex] === 1 && m.higherIsBetter ? 'highlight-good' : ''}>
+                                                                #{ranks[m.key][dex]} · {formatMetric(m, current[m.key])}
+                                                            </span>
+                                                            {efficiency.previous && (
+                                                                <DeltaLabel
+                                                                    change={relativeChange(current[m.key], previous?.[m.key])}
+                                                                    higherIsBetter={m.higherIsBetter}
+                                                                />
+                                                            )}
+                                                        </>
+                                                    ) : '-'}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            <div className="efficiency-legend">
+                {EFFICIENCY_METRICS.map(m => (
+                    <div key={m.key} className="legend-item">
+                        <Info size={12} />
+                        <span><strong>{m.label}</strong>: {m.description}</span>
+                    </div>
+                ))}
+                <div className="legend-item">
+                    <Info size={12} />
+                    <span>
+                        Fees and volume are summed over the period; TVL is the average daily TVL. Deltas are the
+                        relative change against the previous period of the same length.
+                    </span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DexEfficiencyScorecard;
@@ -1,38 +1,57 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Activity, RefreshCw } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { fetchSuiFees, fetchSuiHistoricalVolume } from '../lib/fetch-defillama';
-
-// DEX Colors (Full Sail Brand)
-const DEX_COLORS = {
-    'Full Sail': '#7D99FD',
-    'Cetus': '#10b981',
-    'Bluefin': '#3b82f6',
-};
-
-// Protocol slugs for TVL historical data
-const PROTOCOL_SLUGS = {
-    'Full Sail': 'full-sail',
-    'Cetus': 'cetus-amm',
-    'Bluefin': 'bluefin-spot'
-};
+import React, { useMemo, useRef } from 'react';
+import { Activity, RefreshCw, Flag, Download } from 'lucide-react';
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { HISTORY_SOURCES as SOURCES } from '../lib/dex-history';
+import { toShareRows, shareChange } from '../lib/market-share';
+import { annotationsFor, placeAnnotations } from '../lib/annotations';
+import { toCsv, chartToPng, downloadFile, exportFileName } from '../lib/export';
+import { DATA_SOURCE_LABELS } from '../lib/data-source';
+import {
+    RESOLUTIONS,
+    MOVING_AVERAGES,
+    maKey,
+    addDays,
+    filterRange,
+    resample,
+    withMovingAverages,
+    withPreviousValues,
+} from '../lib/chart-series';
+import { URL_CODECS, oneOf, listOf } from '../lib/url-state';
+import { useDashboardData } from './DashboardDataProvider';
+import { useUrlState } from './useUrlState';
+import { renderAnnotationLines, AnnotationTooltipItems } from './ChartAnnotations';
+import { DEX_NAMES, OTHER_DEX, SDK_DEX, dexColor } from '../lib/dex-registry';
 
 // Available metrics from DefiLlama
 const METRICS = [
-    { key: 'fees', label: 'Fees', description: 'Protocol fee revenue per day' },
-    { key: 'volume', label: 'Volume', description: 'Trading volume per day' },
-    { key: 'tvl', label: 'TVL', description: 'Total value locked' },
+    { key: 'fees', label: 'Fees', description: 'Protocol fee revenue per day', shareable: true },
+    { key: 'volume', label: 'Volume', description: 'Trading volume per day', shareable: true },
+    { key: 'tvl', label: 'TVL', description: 'Total value locked', shareable: true },
     { key: 'feeTvl', label: 'Fee/TVL', description: 'Fee efficiency (annualized)' },
 ];
 
-// Period options
+// Absolute values per DEX, or each DEX's share of the daily total
+const VIEWS = [
+    { key: 'absolute', label: 'Absolute', description: 'Values per DEX' },
+    { key: 'share', label: 'Share', description: 'Share of the daily total (100% stacked)' },
+];
+
+// Period options (days back from the latest data point, all-time, or a custom date range)
 const PERIODS = [
     { days: 7, label: '7d' },
     { days: 14, label: '14d' },
     { days: 30, label: '30d' },
     { days: 90, label: '3m' },
+    { days: 'all', label: 'All' },
+    { days: 'custom', label: 'Custom' },
 ];
 
+// URL codecs for the chart settings
+const METRIC_CODEC = oneOf(METRICS.map(m => m.key));
+const VIEW_CODEC = oneOf(VIEWS.map(v => v.key));
+const RESOLUTION_CODEC = oneOf(RESOLUTIONS.map(r => r.key));
+const MOVING_AVERAGE_CODEC = listOf(MOVING_AVERAGES);
+
 // Format helpers
 const formatNumber = (num) => {
     if (!num || isNaN(num)) return '$0';
@@ -46,153 +65,235 @@ const formatPercent = (num) => {
     return `${(num * 100).toFixed(2)}%`;
 };
 
+// Change vs the previous point: share points for shares, relative change otherwise
+const formatChange = (value, previous, metric) => {
+    if (typeof previous !== 'number' || typeof value !== 'number') return null;
+    if (metric === 'share') {
+        const pp = (value - previous) * 100;
+        return `${pp >= 0 ? '+' : ''}${pp.toFixed(2)} pp`;
+    }
+    if (!previous) return null;
+    const change = (value - previous) / previous * 100;
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
+
 // Custom tooltip
-const ChartTooltip = ({ active, payload, label, metric }) => {
+const ChartTooltip = ({ active, payload, label, metric, resolution, markers }) => {
     if (!active || !payload?.length) return null;
+    const { previous, points } = payload[0].payload || {};
+    const marker = markers?.find(m => m.x === label);
+    const unit = RESOLUTIONS.find(r => r.key === resolution)?.label.toLowerCase() || 'daily';
     return (
         <div className="chart-tooltip">
-            <p className="tooltip-label">{label}</p>
-            {payload.map((entry, idx) => (
-                <p key={idx} style={{ color: entry.color }}>
-                    {entry.name}: {metric === 'feeTvl' ? formatPercent(entry.value) : formatNumber(entry.value)}
-                </p>
-            ))}
+            <p className="tooltip-label">{label}{points ? ` · ${points} data points` : ''}</p>
+            {payload.map((entry, idx) => {
+                const change = formatChange(entry.value, previous?.[entry.dataKey], metric);
+                return (
+                    <p key={idx} style={{ color: entry.color }}>
+                        {entry.name}: {metric === 'feeTvl' || metric === 'share' ? formatPercent(entry.value) : formatNumber(entry.value)}
+                        {change && <span className="text-slate-400"> ({change})</span>}
+                    </p>
+                );
+            })}
+            {previous && <p className="text-slate-500 text-xs mt-1">Change vs previous {unit} point ({previous.date.slice(0, 10)})</p>}
+            <AnnotationTooltipItems marker={marker} />
         </div>
     );
 };
 
-// Fetch historical TVL for all DEXs
-async function fetchHistoricalTVL(days = 30) {
-    const dexNames = Object.keys(PROTOCOL_SLUGS);
-    const results = {};
-
-    try {
-        // Fetch TVL for each DEX in parallel
-        const promises = dexNames.map(async (dex) => {
-            const slug = PROTOCOL_SLUGS[dex];
-            try {
-                const res = await fetch(`https://api.llama.fi/protocol/${slug}`);
-                if (!res.ok) return { dex, data: [] };
-                const data = await res.json();
-                return { dex, data: data.tvl || [] };
-            } catch {
-                return { dex, data: [] };
-            }
-        });
+const DexHistoricalChart = () => {
+    // Chart settings are kept in the URL (shareable links, back / forward)
+    const [requestedMetric, setMetric] = useUrlState('metric', 'fees', { codec: METRIC_CODEC });
+    const [view, setView] = useUrlState('view', 'absolute', { codec: VIEW_CODEC });
+    // A link may pair the share view with a metric that cannot be stacked
+    const metric = view === 'share' && !METRICS.find(m => m.key === requestedMetric)?.shareable ? 'fees' : requestedMetric;
+    const [resolution, setResolution] = useUrlState('res', 'day', { codec: RESOLUTION_CODEC });
+    const [movingAverages, setMovingAverages] = useUrlState('ma', [], { codec: MOVING_AVERAGE_CODEC });
+    const [logScale, setLogScale] = useUrlState('log', false, { codec: URL_CODECS.boolean });
+    const [showAnnotations, setShowAnnotations] = useUrlState('events', true, { codec: URL_CODECS.boolean });
+    // Series, range and source live in the shared store so Refresh reloads them with the rest
+    const {
+        history: rawData,
+        historyQuery,
+        setHistoryQuery,
+        annotations,
+        mode,
+        loading: loadingState,
+        errors,
+        refresh,
+        refreshing,
+    } = useDashboardData();
+    const { period, start, end, source } = historyQuery;
+    const loading = loadingState.history;
+
+    // DefiLlama series the current metric depends on that failed to load
+    const failures = useMemo(() => {
+        const needed = metric === 'feeTvl' ? ['fees', 'tvl'] : [metric];
+        return (rawData.failures || []).filter(f => needed.includes(f.series));
+    }, [rawData, metric]);
 
-        const allData = await Promise.all(promises);
+    const error = useMemo(() => {
+        if (errors.history) return 'Failed to load historical data';
+        if (loading) return null;
+        if (failures.length && !rawData[failures[0].series]?.length) {
+            return `Source unavailable: ${failures.map(f => f.error).join('; ')}`;
+        }
+        if (source === 'snapshots' && !rawData.tvl.length) {
+            return 'No local snapshots yet — they are recorded each time pool data loads';
+        }
+        if (!rawData.fees.length && !rawData.volume.length && !rawData.tvl.length) {
+            return 'No historical data available';
+        }
+        return null;
+    }, [errors.history, loading, source, rawData, failures]);
 
-        // Find common date range (last N days)
-        const now = Date.now();
-        const cutoff = now - (days * 24 * 60 * 60 * 1000);
+    // Daily rows of the selected metric
+    const baseRows = useMemo(() => {
+        if (metric !== 'feeTvl') return rawData[metric] || [];
 
-        // Build daily data map
-        const dailyMap = {};
+        // Calculate Fee/TVL ratio by merging fees and tvl data
+        const feesMap = {};
+        rawData.fees.forEach(d => {
+            feesMap[d.date] = d;
+        });
 
-        allData.forEach(({ dex, data }) => {
-            data.forEach(({ date, totalLiquidityUSD }) => {
-                const timestamp = date * 1000;
-                if (timestamp < cutoff) return;
+        return rawData.tvl.map(tvlDay => {
+            const feeDay = feesMap[tvlDay.date] || {};
+            const result = { date: tvlDay.date };
 
-                const dateStr = new Date(timestamp).toISOString().split('T')[0];
-                if (!dailyMap[dateStr]) {
-                    dailyMap[dateStr] = { date: dateStr };
-                }
-                dailyMap[dateStr][dex] = totalLiquidityUSD || 0;
+            DEX_NAMES.forEach(dex => {
+                const fees = feeDay[dex] || 0;
+                const tvl = tvlDay[dex] || 0;
+                // Annualized fee/tvl ratio
+                result[dex] = tvl > 0 ? (fees * 365) / tvl : 0;
             });
+
+            return result;
         });
+    }, [rawData, metric]);
 
-        // Convert to array and sort by date
-        const daily = Object.values(dailyMap)
-            .sort((a, b) => a.date.localeCompare(b.date))
-            .slice(-days);
+    // Displayed date window: last N days of the data, all-time, or the custom range
+    const range = useMemo(() => {
+        if (period === 'all') return {};
+        if (period === 'custom') return { start, end };
+        const lastDay = baseRows.length ? baseRows[baseRows.length - 1].date.slice(0, 10) : null;
+        return lastDay ? { start: addDays(lastDay, -(period - 1)) } : {};
+    }, [period, start, end, baseRows]);
+
+    // Window → resample → share → moving averages → previous-point values
+    const series = useMemo(() => {
+        const share = view === 'share';
+        let rows = baseRows;
+        let keys = share ? [...DEX_NAMES, OTHER_DEX] : DEX_NAMES;
+        let hasOther = false;
+
+        // Fees / volume are flows (summed per bucket); TVL, ratios and snapshot 24h values are levels
+        const aggregate = metric === 'tvl' || metric === 'feeTvl' || source === 'snapshots' ? 'mean' : 'sum';
+        // Moving averages are daily overlays on the absolute lines
+        const averaged = resolution === 'day' && !share ? movingAverages : [];
+
+        if (resolution !== 'day') rows = resample(filterRange(rows, range), keys, resolution, aggregate);
+        if (share) ({ rows, keys, hasOther } = toShareRows(rows));
+        // Moving averages use the warm-up days before the window, so filter afterwards
+        if (averaged.length) rows = withMovingAverages(rows, keys, averaged);
+        if (resolution === 'day') rows = filterRange(rows, range);
+
+        // Log scale cannot show zeros
+        if (logScale && !share) {
+            rows = rows.map(row => Object.fromEntries(Object.entries(row).map(([k, v]) => [k, v === 0 ? null : v])));
+        }
 
-        return { daily, totals: {} };
-    } catch (e) {
-        console.error('TVL fetch failed:', e);
-        return { daily: [], totals: {} };
-    }
-}
+        return { rows: withPreviousValues(rows), keys, averaged, hasOther };
+    }, [baseRows, range, view, metric, source, resolution, movingAverages, logScale]);
 
-const DexHistoricalChart = () => {
-    const [metric, setMetric] = useState('fees');
-    const [period, setPeriod] = useState(30);
-    const [rawData, setRawData] = useState({ fees: [], volume: [], tvl: [] });
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-
-    const fetchData = async () => {
-        setLoading(true);
-        setError(null);
-        try {
-            // Fetch all metrics in parallel
-            const [feesData, volumeData, tvlData] = await Promise.all([
-                fetchSuiFees(period),
-                fetchSuiHistoricalVolume(period),
-                fetchHistoricalTVL(period),
-            ]);
-
-            setRawData({
-                fees: feesData?.daily || [],
-                volume: volumeData?.daily || [],
-                tvl: tvlData?.daily || [],
-            });
+    // Format dates for display (MM/DD; with the year for long ranges and monthly buckets)
+    const chartData = useMemo(() => {
+        const rows = series.rows;
+        const longRange = rows.length > 1 && rows[0].date.slice(0, 4) !== rows[rows.length - 1].date.slice(0, 4);
+        return rows.map(d => ({
+            ...d,
+            dateDisplay: !d.date ? ''
+                : resolution === 'month' ? d.date.slice(0, 7)
+                    : longRange ? d.date.slice(2, 10) : d.date.slice(5).replace('T', ' '),
+        }));
+    }, [series, resolution]);
 
-            if (!feesData?.daily?.length && !volumeData?.daily?.length && !tvlData?.daily?.length) {
-                setError('No historical data available');
-            }
-        } catch (e) {
-            console.error('Failed to fetch historical data:', e);
-            setError('Failed to load historical data');
-        } finally {
-            setLoading(false);
+    const share = view === 'share' ? series : null;
+    const seriesKeys = series.keys;
+
+    // Event markers: untagged events and those tagged to a plotted DEX
+    const markers = useMemo(
+        () => (showAnnotations ? placeAnnotations(annotationsFor(annotations, { dexes: seriesKeys }), chartData, 'dateDisplay') : []),
+        [showAnnotations, annotations, seriesKeys, chartData]
+    );
+
+    // Is Full Sail gaining share over the selected range?
+    const sdkShare = share ? shareChange(share.rows, SDK_DEX) : null;
+
+    const selectPeriod = (days) => {
+        if (days !== 'custom') {
+            setHistoryQuery({ period: days });
+            return;
         }
+        // Start the custom range from what is currently shown
+        const first = chartData[0]?.date.slice(0, 10) || null;
+        const last = chartData[chartData.length - 1]?.date.slice(0, 10) || null;
+        setHistoryQuery({ period: 'custom', start: start || first, end: end || last });
     };
 
-    useEffect(() => {
-        fetchData();
-    }, [period]);
-
-    // Get chart data based on selected metric
-    const chartData = useMemo(() => {
-        let data = [];
-
-        if (metric === 'fees') {
-            data = rawData.fees;
-        } else if (metric === 'volume') {
-            data = rawData.volume;
-        } else if (metric === 'tvl') {
-            data = rawData.tvl;
-        } else if (metric === 'feeTvl') {
-            // Calculate Fee/TVL ratio by merging fees and tvl data
-            const feesMap = {};
-            rawData.fees.forEach(d => {
-                feesMap[d.date] = d;
-            });
+    const toggleMovingAverage = (days) => {
+        setMovingAverages(prev => (prev.includes(days) ? prev.filter(d => d !== days) : [...prev, days].sort((a, b) => a - b)));
+    };
 
-            data = rawData.tvl.map(tvlDay => {
-                const feeDay = feesMap[tvlDay.date] || {};
-                const result = { date: tvlDay.date };
+    const changeView = (nextView) => {
+        setView(nextView);
+        if (nextView === 'share' && !METRICS.find(m => m.key === metric)?.shareable) setMetric('fees');
+    };
 
-                Object.keys(DEX_COLORS).forEach(dex => {
-                    const fees = feeDay[dex] || 0;
-                    const tvl = tvlDay[dex] || 0;
-                    // Annualized fee/tvl ratio
-                    result[dex] = tvl > 0 ? (fees * 365) / tvl : 0;
-                });
+    // Exports: the series as shown (window, resolution, view, moving averages), raw values
+    const chartRef = useRef(null);
+    const exportMetadata = () => {
+        const metricLabel = METRICS.find(m => m.key === metric)?.label || metric;
+        return {
+            chart: `DEX comparison - ${metricLabel} (${VIEWS.find(v => v.key === view)?.label})`,
+            units: view === 'share' ? 'share of daily total (0-1)' : metric === 'feeTvl' ? 'annualized fraction' : 'USD',
+            resolution,
+            range: chartData.length ? `${chartData[0].date.slice(0, 10)} to ${chartData[chartData.length - 1].date.slice(0, 10)}` : '',
+            historySource: SOURCES.find(s => s.key === source)?.label || source,
+            sourceMode: DATA_SOURCE_LABELS[mode] || mode,
+            exportedAt: new Date().toISOString(),
+        };
+    };
+    const exportColumns = () => [
+        { key: 'date', label: 'date' },
+        ...(resolution !== 'day' ? [{ key: 'points', label: 'data points' }] : []),
+        ...seriesKeys.map(key => ({ key, label: key })),
+        ...series.averaged.flatMap(days => seriesKeys.map(key => ({ key: maKey(key, days), label: maKey(key, days) }))),
+    ];
+
+    const exportCsv = () => {
+        const csv = toCsv(exportColumns(), chartData, exportMetadata());
+        downloadFile(exportFileName(`sui-dex-${metric}-${view}`, 'csv'), csv, 'text/csv');
+    };
 
-                return result;
+    const exportPng = async () => {
+        const svg = chartRef.current?.querySelector('.recharts-wrapper svg.recharts-surface');
+        if (!svg) return;
+        const metadata = exportMetadata();
+        try {
+            const png = await chartToPng(svg, {
+                title: metadata.chart,
+                lines: [
+                    `${metadata.range} · ${metadata.resolution} · ${metadata.units}`,
+                    `${metadata.historySource} · ${metadata.sourceMode} mode · exported ${metadata.exportedAt}`,
+                ],
+                legend: seriesKeys.map(key => ({ label: key, color: dexColor(key) })),
             });
+            downloadFile(exportFileName(`sui-dex-${metric}-${view}`, 'png'), png);
+        } catch (e) {
+            console.error('[Export] Chart PNG failed:', e);
         }
-
-        // Format dates for display (MM/DD)
-        return data.map(d => ({
-            ...d,
-            dateDisplay: d.date ? d.date.slice(5) : '',
-        }));
-    }, [rawData, metric]);
-
-    const dexNames = Object.keys(DEX_COLORS);
+    };
 
     // Calculate tick count for even spacing
     const tickCount = Math.min(chartData.length, 7);
@@ -212,7 +313,8 @@ const DexHistoricalChart = () => {
                             <button
                                 key={m.key}
                                 onClick={() => setMetric(m.key)}
-                                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${metric === m.key
+                                disabled={view === 'share' && !m.shareable}
+                                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-40 disabled:cursor-not-allowed ${metric === m.key
                                         ? 'bg-[#7D99FD]/20 text-[#7D99FD]'
                                         : 'text-slate-400 hover:text-white'
                                     }`}
@@ -223,12 +325,46 @@ const DexHistoricalChart = () => {
                         ))}
                     </div>
 
+                    {/* View Selector */}
+                    <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
+                        {VIEWS.map(v => (
+                            <button
+                                key={v.key}
+                                onClick={() => changeView(v.key)}
+                                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${view === v.key
+                                        ? 'bg-emerald-500/20 text-emerald-300'
+                                        : 'text-slate-400 hover:text-white'
+                                    }`}
+                                title={v.description}
+                            >
+                                {v.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* History Source Selector */}
+                    <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
+                        {SOURCES.map(src => (
+                            <button
+                                key={src.key}
+                                onClick={() => setHistoryQuery({ source: src.key })}
+                                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${source === src.key
+                                        ? 'bg-purple-500/20 text-purple-300'
+                                        : 'text-slate-400 hover:text-white'
+                                    }`}
+                                title={src.description}
+                            >
+                                {src.label}
+                            </button>
+                        ))}
+                    </div>
+
                     {/* Period Selector */}
                     <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
                         {PERIODS.map(p => (
                             <button
                                 key={p.days}
-                                onClick={() => setPeriod(p.days)}
+                                onClick={() => selectPeriod(p.days)}
                                 className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${period === p.days
                                         ? 'bg-blue-500/20 text-blue-400'
                                         : 'text-slate-400 hover:text-white'
@@ -240,16 +376,141 @@ const DexHistoricalChart = () => {
                     </div>
 
                     <button
-                        onClick={fetchData}
+                        onClick={refresh}
                         className="p-2 rounded-lg bg-slate-800/50 text-slate-400 hover:text-white transition-colors"
-                        disabled={loading}
+                        disabled={refreshing}
                     >
-                        <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+                        <RefreshCw size={16} className={refreshing || loading ? 'animate-spin' : ''} />
                     </button>
                 </div>
             </div>
 
-            <div className="h-72">
+            <div className="flex items-center gap-3 flex-wrap mb-4">
+                {/* Custom Range */}
+                {period === 'custom' && (
+                    <div className="flex items-center gap-2 text-sm text-slate-400">
+                        <input
+                            type="date"
+                            value={start || ''}
+                            max={end || undefined}
+                            onChange={(e) => setHistoryQuery({ start: e.target.value || null })}
+                            className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1 text-slate-200"
+                        />
+                        <span>→</span>
+                        <input
+                            type="date"
+                            value={end || ''}
+                            min={start || undefined}
+                            onChange={(e) => setHistoryQuery({ end: e.target.value || null })}
+                            className="bg-slate-800/50 border border-slate-700 rounded-md px-2 py-1 text-slate-200"
+                        />
+                    </div>
+                )}
+
+                {/* Resolution */}
+                <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
+                    {RESOLUTIONS.map(r => (
+                        <button
+                            key={r.key}
+                            onClick={() => setResolution(r.key)}
+                            className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${resolution === r.key
+                                    ? 'bg-blue-500/20 text-blue-400'
+                                    : 'text-slate-400 hover:text-white'
+                                }`}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                </div>
+
+                {/* Moving Averages (daily, absolute view) */}
+                <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
+                    {MOVING_AVERAGES.map(days => (
+                        <button
+                            key={days}
+                            onClick={() => toggleMovingAverage(days)}
+                            disabled={resolution !== 'day' || view === 'share'}
+                            className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-40 disabled:cursor-not-allowed ${movingAverages.includes(days)
+                                    ? 'bg-amber-500/20 text-amber-300'
+                                    : 'text-slate-400 hover:text-white'
+                                }`}
+                            title={`${days}-day trailing moving average (daily resolution)`}
+                        >
+                            {days}d MA
+                        </button>
+                    ))}
+                </div>
+
+                {/* Log Scale */}
+                <button
+                    onClick={() => setLogScale(prev => !prev)}
+                    disabled={view === 'share'}
+                    className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all bg-slate-800/50 disabled:opacity-40 disabled:cursor-not-allowed ${logScale
+                            ? 'text-[#7D99FD]'
+                            : 'text-slate-400 hover:text-white'
+                        }`}
+                    title="Logarithmic Y axis"
+                >
+                    Log scale
+                </button>
+
+                {/* Event Annotations */}
+                <button
+                    onClick={() => setShowAnnotations(prev => !prev)}
+                    className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-all bg-slate-800/50 ${showAnnotations
+                            ? 'text-[#7D99FD]'
+                            : 'text-slate-400 hover:text-white'
+                        }`}
+                    title="Show event annotations (edit them in the Events panel)"
+                >
+                    <Flag size={14} />
+                    Events{annotations.length ? ` (${annotations.length})` : ''}
+                </button>
+
+                {/* Export the shown series */}
+                <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
+                    {[{ label: 'CSV', run: exportCsv, title: 'Download the shown series as CSV (raw values)' },
+                        { label: 'PNG', run: exportPng, title: 'Download the chart as a PNG image' }].map(action => (
+                        <button
+                            key={action.label}
+                            onClick={action.run}
+                            disabled={loading || !!error || chartData.length === 0}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-all text-slate-400 hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                            title={action.title}
+                        >
+                            <Download size={14} />
+                            {action.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {!loading && !error && failures.length > 0 && (
+                <p className="text-amber-400 text-xs mb-2">
+                    Partial data — {failures.map(f => f.error).join('; ')}
+                </p>
+            )}
+
+            {share && !loading && !error && chartData.length > 0 && (
+                <p className="text-slate-400 text-xs mb-2">
+                    {sdkShare && (
+                        <span>
+                            {SDK_DEX} share: {formatPercent(sdkShare.from)} → {formatPercent(sdkShare.to)}{' '}
+                            <span className={sdkShare.change >= 0 ? 'text-emerald-400' : 'text-red-400'}>
+                                ({sdkShare.change >= 0 ? '+' : ''}{(sdkShare.change * 100).toFixed(2)} pp)
+                            </span>
+                            {' • '}
+                        </span>
+                    )}
+                    {share.hasOther
+                        ? `${OTHER_DEX} = untracked DEXs in the DefiLlama breakdown`
+                        : metric === 'tvl'
+                            ? 'Share of TVL among tracked DEXs (DefiLlama has no per-DEX TVL breakdown for other Sui DEXs)'
+                            : 'Share among tracked DEXs'}
+                </p>
+            )}
+
+            <div className="h-72" ref={chartRef}>
                 {loading ? (
                     <div className="h-full flex items-center justify-center text-slate-400">
                         <RefreshCw className="animate-spin mr-2" size={20} />
@@ -259,6 +520,40 @@ const DexHistoricalChart = () => {
                     <div className="h-full flex items-center justify-center text-slate-500">
                         {error}
                     </div>
+                ) : chartData.length > 0 && share ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                        <AreaChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                            <XAxis
+                                dataKey="dateDisplay"
+                                stroke="#64748b"
+                                fontSize={11}
+                                tickLine={false}
+                                interval={Math.max(0, Math.floor(chartData.length / tickCount) - 1)}
+                            />
+                            <YAxis
+                                stroke="#64748b"
+                                fontSize={11}
+                                tickLine={false}
+                                domain={[0, 1]}
+                                tickFormatter={(v) => `${(v * 100).toFixed(0)}%`}
+                            />
+                            <Tooltip content={<ChartTooltip metric="share" resolution={resolution} markers={markers} />} />
+                            <Legend />
+                            {seriesKeys.map(dex => (
+                                <Area
+                                    key={dex}
+                                    type="monotone"
+                                    dataKey={dex}
+                                    stackId="share"
+                                    stroke={dexColor(dex)}
+                                    fill={dexColor(dex)}
+                                    fillOpacity={0.6}
+                                    name={dex}
+                                />
+                            ))}
+                            {renderAnnotationLines(markers)}
+                        </AreaChart>
+                    </ResponsiveContainer>
                 ) : chartData.length > 0 ? (
                     <ResponsiveContainer width="100%" height="100%">
                         <LineChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
@@ -273,6 +568,9 @@ const DexHistoricalChart = () => {
                                 stroke="#64748b"
                                 fontSize={11}
                                 tickLine={false}
+                                scale={logScale ? 'log' : 'auto'}
+                                domain={logScale ? ['auto', 'auto'] : [0, 'auto']}
+                                allowDataOverflow={logScale}
                                 tickFormatter={(v) => {
                                     if (metric === 'feeTvl') {
                                         return `${(v * 100).toFixed(0)}%`;
@@ -282,19 +580,35 @@ const DexHistoricalChart = () => {
                                     return `$${v}`;
                                 }}
                             />
-                            <Tooltip content={<ChartTooltip metric={metric} />} />
+                            <Tooltip content={<ChartTooltip metric={metric} resolution={resolution} markers={markers} />} />
                             <Legend />
-                            {dexNames.map(dex => (
+                            {seriesKeys.map(dex => (
                                 <Line
                                     key={dex}
                                     type="monotone"
                                     dataKey={dex}
-                                    stroke={DEX_COLORS[dex]}
-                                    strokeWidth={2}
+                                    stroke={dexColor(dex)}
+                                    strokeWidth={series.averaged.length ? 1 : 2}
+                                    strokeOpacity={series.averaged.length ? 0.35 : 1}
                                     dot={false}
                                     name={dex}
+                                    connectNulls={logScale}
                                 />
                             ))}
+                            {series.averaged.flatMap(days => seriesKeys.map(dex => (
+                                <Line
+                                    key={maKey(dex, days)}
+                                    type="monotone"
+                                    dataKey={maKey(dex, days)}
+                                    stroke={dexColor(dex)}
+                                    strokeWidth={2}
+                                    strokeDasharray={days === MOVING_AVERAGES[0] ? undefined : '6 3'}
+                                    dot={false}
+                                    name={maKey(dex, days)}
+                                    legendType="none"
+                                />
+                            )))}
+                            {renderAnnotationLines(markers)}
                         </LineChart>
                     </ResponsiveContainer>
                 ) : (
@@ -0,0 +1,250 @@
+import React, { useState, useMemo } from 'react';
+import { Scale, RefreshCw, Filter, ChevronDown, Trophy, Info } from 'lucide-react';
+import { useDashboardData } from './DashboardDataProvider';
+import { SDK_DEX, dexColor } from '../lib/dex-registry';
+import { comparePairs, PAIR_METRICS } from '../lib/pair-comparison';
+import { poolPair } from '../lib/pool-pairs';
+import { oneOf } from '../lib/url-state';
+import { useUrlState } from './useUrlState';
+
+// Pairs shown when no single pair is picked (largest by TVL)
+const MAX_PAIRS = 10;
+
+const SCOPES = [
+    { key: 'fullsail', label: `On ${SDK_DEX}` },
+    { key: 'all', label: 'All shared pairs' },
+];
+
+const SCOPE_CODEC = oneOf(SCOPES.map(s => s.key));
+const GAP_METRIC_CODEC = oneOf(PAIR_METRICS.map(m => m.key));
+
+// Format helpers
+const formatNumber = (num) => {
+    if (!num || isNaN(num)) return '-';
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+    return `$${num.toFixed(0)}`;
+};
+
+const formatMetric = (metric, value) => {
+    if (value === null || value === undefined || isNaN(value)) return '-';
+    if (metric.unit === '$') return formatNumber(value);
+    if (metric.unit === 'x') return `${value.toFixed(2)}x`;
+    return `${value.toFixed(2)}%`;
+};
+
+const formatFeeTier = (rate) => {
+    if (!rate || isNaN(rate)) return null;
+    return `${parseFloat((rate * 100).toFixed(4))}%`;
+};
+
+const venueLabel = (pool) => [pool.dex, formatFeeTier(pool.fee_rate)].filter(Boolean).join(' ');
+
+const GapLabel = ({ group, metric }) => {
+    if (!group.gaps) return <span className="reconcile-delta">not on {SDK_DEX}</span>;
+    const { gap, competitor } = group.gaps[metric.key];
+    if (gap === null) return <span className="reconcile-delta">no data</span>;
+    return (
+        <span
+            className={gap >= 0 ? 'highlight-good' : 'highlight-bad'}
+            title={`${SDK_DEX}'s best ${metric.label} against the best other pool (${competitor.pool.name})`}
+        >
+            {gap > 0 ? '+' : ''}{(gap * 100).toFixed(1)}% vs {venueLabel(competitor.pool)}
+        </span>
+    );
+};
+
+/**
+ * Same-pair comparison across DEXs and fee tiers, with the best venue per
+ * metric and Full Sail's gap to the best competitor
+ * @param {Object} props - { onSelectPool: called with a pool id when a venue row is clicked }
+ */
+const PairComparison = ({ onSelectPool }) => {
+    const { poolData, loading: loadingState, refresh, refreshing } = useDashboardData();
+    const loading = loadingState.pools;
+
+    const [scope, setScope] = useUrlState('cmpScope', 'fullsail', { codec: SCOPE_CODEC });
+    const [selectedPair, setSelectedPair] = useUrlState('cmpPair', 'all');
+    const [gapMetric, setGapMetric] = useUrlState('cmpGap', 'feeToTvl', { codec: GAP_METRIC_CODEC });
+    const [showDropdown, setShowDropdown] = useState(false);
+
+    // Pairs listed on two or more DEXs
+    const groups = useMemo(() => {
+        const pools = (poolData?.pools || []).map(pool => ({ ...pool, pair: poolPair(pool) }));
+        const all = comparePairs(pools);
+        return scope === 'fullsail' ? all.filter(group => group.gaps) : all;
+    }, [poolData, scope]);
+
+    // A linked pair that is not listed (in this scope) shows the top pairs
+    const activePair = groups.some(group => group.key === selectedPair) ? selectedPair : 'all';
+    const shown = activePair === 'all'
+        ? groups.slice(0, MAX_PAIRS)
+        : groups.filter(group => group.key === activePair);
+    const metric = PAIR_METRICS.find(m => m.key === gapMetric);
+
+    return (
+        <div className="efficiency-card">
+            <div className="efficiency-header">
+                <div className="efficiency-title">
+                    <Scale size={20} />
+                    <h3>Same-Pair Venue Comparison</h3>
+                </div>
+
+                <div className="filter-controls">
+                    <div className="toggle-group">
+                        {SCOPES.map(s => (
+                            <button
+                                key={s.key}
+                                className={`toggle-btn ${scope === s.key ? 'active' : ''}`}
+                                onClick={() => setScope(s.key)}
+                            >
+                                {s.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="dropdown-container">
+                        <button className="dropdown-btn" onClick={() => setShowDropdown(!showDropdown)}>
+                            <Filter size={16} />
+                            {activePair === 'all' ? `Top ${MAX_PAIRS} pairs` : activePair}
+                            <ChevronDown size={16} />
+                        </button>
+                        {showDropdown && (
+                            <div className="dropdown-menu scrollable">
+                                {[{ key: 'all', venues: [] }, ...groups].map(group => (
+                                    <button
+                                        key={group.key}
+                                        className={`dropdown-item ${activePair === group.key ? 'active' : ''}`}
+                                        onClick={() => {
+                                            setSelectedPair(group.key);
+                                            setShowDropdown(false);
+                                        }}
+                                    >
+                                        {group.key === 'all' ? `Top ${MAX_PAIRS} pairs` : group.key}
+                                        {group.venues.length > 0 && <span className="dropdown-count">{group.venues.length}</span>}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <button className="refresh-btn" onClick={refresh} disabled={refreshing}>
+                        <RefreshCw size={16} className={refreshing || loading ? 'spin' : ''} />
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading-spinner">
+                    <RefreshCw className="spin" size={20} />
+                    <span>Loading pools...</span>
+                </div>
+            ) : shown.length === 0 ? (
+                <div className="reconcile-empty">
+                    {scope === 'fullsail'
+                        ? `No ${SDK_DEX} pair is also listed on another tracked DEX.`
+                        : 'No pair is listed on more than one tracked DEX.'}
+                </div>
+            ) : (
+                <>
+                    <div className="pagination-info">
+                        {activePair === 'all' && groups.length > shown.length
+                            ? `Showing the ${shown.length} largest of ${groups.length} pairs by TVL; pick a pair for the others.`
+                            : `${groups.length} ${groups.length === 1 ? 'pair' : 'pairs'} listed on more than one DEX.`}
+                        {' '}Click a metric header to measure the {SDK_DEX} gap on it.
+                    </div>
+
+                    <div className="efficiency-table-wrapper">
+                        <table className="efficiency-table">
+                            <thead>
+                                <tr>
+                                    <th className="efficiency-th">Venue</th>
+                                    {PAIR_METRICS.map(m => (
+                                        <th
+                                            key={m.key}
+                                            className="efficiency-th sortable"
+                                            onClick={() => setGapMetric(m.key)}
+                                            title={`${m.description} Click to measure the ${SDK_DEX} gap on this metric.`}
+                                        >
+                                            {m.label} {gapMetric === m.key && <span className="sort-indicator">▼</span>}
+                                        </th>
+                                    ))}
+                                    <th
+                                        className="efficiency-th"
+                                        title={`${SDK_DEX}'s best pool against the best pool on any other DEX, relative to the competitor`}
+                                    >
+                                        {SDK_DEX} gap ({metric.label})
+                                    </th>
+                                </tr>
+                            </thead>
+                            {shown.map(group => (
+                                <tbody key={group.key}>
+                                    <tr className="pair-group-row">
+                                        <td colSpan={PAIR_METRICS.length + 1}>
+                                            <strong>{group.key}</strong>
+                                            <span className="reconcile-delta">
+                                                {group.venues.length} pools on {group.dexes.length} DEXs · {formatNumber(group.tvl)} TVL
+                                            </span>
+                                        </td>
+                                        <td><GapLabel group={group} metric={metric} /></td>
+                                    </tr>
+                                    {group.venues.map(({ pool, metrics }) => (
+                                        <tr
+                                            key={pool.id}
+                                            className="clickable-row"
+                                            tabIndex={0}
+                                            title="Show pool details"
+                                            onClick={() => onSelectPool?.(pool.id)}
+                                            onKeyDown={(e) => e.key === 'Enter' && onSelectPool?.(pool.id)}
+                                        >
+                                            <td>
+                                                <div className="dex-name-cell">
+                                                    <span className="dex-indicator" style={{ backgroundColor: dexColor(pool.dex) }} />
+                                                    {venueLabel(pool)}
+                                                </div>
+                                            </td>
+                                            {PAIR_METRICS.map(m => {
+                                                const winner = group.winners[m.key] === pool.id;
+                                                return (
+                                                    <td
+                                                        key={m.key}
+                                                        className={winner ? 'highlight-good' : ''}
+                                                        title={winner ? `Best ${m.label} for ${group.key}` : undefined}
+                                                    >
+                                                        {winner && <Trophy size={12} className="inline mr-1" />}
+                                                        {formatMetric(m, metrics[m.key])}
+                                                    </td>
+                                                );
+                                            })}
+                                            <td />
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            ))}
+                        </table>
+                    </div>
+                </>
+            )}
+
+            <div className="efficiency-legend">
+                {PAIR_METRICS.map(m => (
+                    <div key={m.key} className="legend-item">
+                        <Info size={12} />
+                        <span><strong>{m.label}</strong>: {m.description}</span>
+                    </div>
+                ))}
+                <div className="legend-item">
+                    <Info size={12} />
+                    <span>
+                        Pairs are matched on canonical tokens, so token order and symbol spellings don't matter.
+                        Each fee tier is its own venue. The {SDK_DEX} gap compares its best pool on the metric with the
+                        best pool on any other DEX; a positive gap is a lead.
+                    </span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PairComparison;
@@ -0,0 +1,390 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, ExternalLink, RefreshCw, Flag } from 'lucide-react';
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { loadPoolHistory, loadSnapshotPoolHistory, hasPoolHistory } from '../lib/pool-history';
+import { poolLinks, poolTokens, explorerCoinUrl } from '../lib/pool-detail';
+import { resolveToken, categoryLabel } from '../lib/token-registry';
+import { addDays, filterRange } from '../lib/chart-series';
+import { annotationsFor, placeAnnotations } from '../lib/annotations';
+import { dexColor } from '../lib/dex-registry';
+import { useDashboardData } from './DashboardDataProvider';
+import { renderAnnotationLines, AnnotationTooltipItems } from './ChartAnnotations';
+
+// History charts (daily history fields)
+const CHARTS = [
+    { key: 'tvl', label: 'TVL', description: 'Total value locked per day' },
+    { key: 'apy', label: 'APY', description: 'Base (fee) and reward APY per day' },
+    { key: 'volume', label: 'Volume', description: 'Trading volume per day' },
+];
+
+// Daily history sources: DefiLlama yields /chart, or the pool's local snapshots (any row)
+const HISTORY_SOURCES = [
+    { key: 'defillama', label: 'DefiLlama', description: 'DefiLlama yields', load: loadPoolHistory },
+    { key: 'snapshots', label: 'Snapshots', description: 'Local snapshots', load: loadSnapshotPoolHistory },
+];
+
+// Days back from the latest point ('all' = full history)
+const PERIODS = [
+    { days: 30, label: '30d' },
+    { days: 90, label: '3m' },
+    { days: 'all', label: 'All' },
+];
+
+// Format helpers
+const formatNumber = (num) => {
+    if (!num || isNaN(num)) return '-';
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+    return `$${num.toFixed(0)}`;
+};
+
+const formatPercent = (num) => {
+    if (!num || isNaN(num)) return '-';
+    return `${num.toFixed(2)}%`;
+};
+
+const formatFeeTier = (rate) => {
+    if (!rate || isNaN(rate)) return '-';
+    return `${parseFloat((rate * 100).toFixed(4))}%`;
+};
+
+// 0x1234…abcd (coin types keep their module path: 0x1234…::sui::SUI)
+const shortenAddress = (value) => {
+    const [address, ...path] = value.split('::');
+    const short = address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+    return [short, ...path].join('::');
+};
+
+// Custom tooltip
+const ChartTooltip = ({ active, payload, label, chart, markers }) => {
+    if (!active || !payload?.length) return null;
+    const marker = markers?.find(m => m.x === label);
+    return (
+        <div className="chart-tooltip">
+            <p className="tooltip-label">{label}</p>
+            {payload.map((entry, idx) => (
+                <p key={idx} style={{ color: entry.color }}>
+                    {entry.name}: {chart === 'apy' ? formatPercent(entry.value) : formatNumber(entry.value)}
+                </p>
+            ))}
+            <AnnotationTooltipItems marker={marker} />
+        </div>
+    );
+};
+
+const Metric = ({ label, value, title }) => (
+    <div className="bg-slate-800/50 rounded-lg p-3" title={title}>
+        <div className="text-slate-400 text-xs mb-1">{label}</div>
+        <div className="font-mono text-slate-100">{value}</div>
+    </div>
+);
+
+/**
+ * Pool detail drawer
+ * Current metrics, token composition, explorer / DEX links and the pool's
+ * daily TVL, APY and volume history (DefiLlama yields /chart, or the local
+ * snapshot store for rows DefiLlama has no history for), with the events
+ * tagged to the pool or its DEX.
+ * @param {Object} props - { pool: pool row, onClose }
+ */
+const PoolDetailDrawer = ({ pool, onClose }) => {
+    const { annotations } = useDashboardData();
+    const [chart, setChart] = useState('tvl');
+    const [period, setPeriod] = useState(90);
+    const [showAnnotations, setShowAnnotations] = useState(true);
+    const [sourceChoice, setSourceChoice] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // SDK / native API rows are keyed by address and have no DefiLlama history: use the local snapshots
+    const historyAvailable = hasPoolHistory(pool);
+    const source = HISTORY_SOURCES.find(s => s.key === (historyAvailable ? sourceChoice || 'defillama' : 'snapshots'));
+
+    // Load the pool's daily history (ignoring responses for a previously shown pool / source)
+    useEffect(() => {
+        let cancelled = false;
+        setHistory([]);
+        setError(null);
+        setLoading(true);
+        source.load(pool.id)
+            .then(data => {
+                if (!cancelled) setHistory(data);
+            })
+            .catch(e => {
+                console.error(`[PoolDetail] ${source.description} history failed for ${pool.id}:`, e);
+                if (!cancelled) setError(e.message || 'Failed to load pool history');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+            setLoading(false);
+        };
+    }, [pool.id, source.key, reloadKey]);
+
+    // Close on Escape
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onClose]);
+
+    const links = useMemo(() => poolLinks(pool), [pool]);
+    const tokens = useMemo(() => poolTokens(pool).map(token => ({ ...token, asset: resolveToken(token) })), [pool]);
+
+    const chartData = useMemo(() => {
+        const latest = history[history.length - 1]?.date;
+        const rows = period === 'all' || !latest
+            ? history
+            : filterRange(history, { start: addDays(latest, 1 - period) });
+        return rows.map(point => ({ ...point, dateDisplay: point.date.slice(period === 'all' ? 2 : 5) }));
+    }, [history, period]);
+
+    const markers = useMemo(() => (showAnnotations
+        ? placeAnnotations(annotationsFor(annotations, { poolId: pool.id, dex: pool.dex }), chartData, 'dateDisplay')
+        : []), [annotations, pool, chartData, showAnnotations]);
+
+    const hasVolume = chartData.some(point => point.volume !== null);
+    const tickCount = Math.min(chartData.length, 6);
+    const xAxis = (
+        <XAxis
+            dataKey="dateDisplay"
+            stroke="#64748b"
+            fontSize={11}
+            tickLine={false}
+            interval={Math.max(0, Math.floor(chartData.length / tickCount) - 1)}
+        />
+    );
+    const yAxis = (formatter) => (
+        <YAxis stroke="#64748b" fontSize={11} tickLine={false} tickFormatter={formatter} />
+    );
+    const usdTick = (v) => {
+        if (v >= 1e6) return `$${(v / 1e6).toFixed(1)}M`;
+        if (v >= 1e3) return `$${(v / 1e3).toFixed(0)}K`;
+        return `$${v}`;
+    };
+    const color = dexColor(pool.dex);
+
+    const renderChart = () => {
+        if (chart === 'volume') {
+            return (
+                <BarChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                    {xAxis}
+                    {yAxis(usdTick)}
+                    <Tooltip content={<ChartTooltip chart={chart} markers={markers} />} />
+                    <Bar dataKey="volume" fill={color} name="Volume" />
+                    {renderAnnotationLines(markers)}
+                </BarChart>
+            );
+        }
+        if (chart === 'apy') {
+            return (
+                <AreaChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                    {xAxis}
+                    {yAxis(v => `${v.toFixed(0)}%`)}
+                    <Tooltip content={<ChartTooltip chart={chart} markers={markers} />} />
+                    <Legend />
+                    <Area type="monotone" dataKey="apyBase" stackId="apy" stroke={color} fill={color} fillOpacity={0.6} name="Base APY" />
+                    <Area type="monotone" dataKey="apyReward" stackId="apy" stroke="#a855f7" fill="#a855f7" fillOpacity={0.4} name="Reward APY" />
+                    {renderAnnotationLines(markers)}
+                </AreaChart>
+            );
+        }
+        return (
+            <AreaChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                {xAxis}
+                {yAxis(usdTick)}
+                <Tooltip content={<ChartTooltip chart={chart} markers={markers} />} />
+                <Area type="monotone" dataKey="tvl" stroke={color} fill={color} fillOpacity={0.3} name="TVL" />
+                {renderAnnotationLines(markers)}
+            </AreaChart>
+        );
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end bg-black/60" onClick={onClose}>
+            <div
+                className="w-full max-w-2xl h-full overflow-y-auto bg-slate-900 border-l border-slate-700 p-6 shadow-2xl"
+                role="dialog"
+                aria-label={`${pool.name} details`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex items-start justify-between gap-4 mb-4">
+                    <div>
+                        <h3 className="text-xl font-semibold text-white">{pool.name}</h3>
+                        <div className="dex-name-cell text-sm text-slate-300 mt-1">
+                            <span className="dex-indicator" style={{ backgroundColor: color }} />
+                            {pool.dex}
+                            {pool.poolMeta && <span className="text-slate-500">· {pool.poolMeta}</span>}
+                        </div>
+                    </div>
+                    <button className="refresh-btn" onClick={onClose} title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                {/* External links */}
+                <div className="flex flex-wrap gap-2 mb-6 text-sm">
+                    {links.explorer ? (
+                        <a className="period-btn flex items-center gap-2" href={links.explorer} target="_blank" rel="noopener noreferrer">
+                            <ExternalLink size={14} />
+                            View on Suiscan
+                        </a>
+                    ) : (
+                        <span className="text-slate-500 text-xs self-center" title="DefiLlama yields rows have no on-chain pool address">
+                            No on-chain address from this source
+                        </span>
+                    )}
+                    {links.app && (
+                        <a className="period-btn flex items-center gap-2" href={links.app} target="_blank" rel="noopener noreferrer">
+                            <ExternalLink size={14} />
+                            Open in {pool.dex}
+                        </a>
+                    )}
+                </div>
+
+                {/* Current metrics */}
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-6 text-sm">
+                    <Metric label="TVL" value={formatNumber(pool.tvl)} />
+                    <Metric label="Volume (24h)" value={formatNumber(pool.volume_24h)} />
+                    <Metric label="Fees (24h)" value={formatNumber(pool.fees_24h)} />
+                    <Metric label="APY" value={formatPercent(pool.apr)} title="Base + reward" />
+                    <Metric label="Base / Reward APY" value={`${formatPercent(pool.apyBase)} / ${formatPercent(pool.apyReward)}`} />
+                    <Metric label="Fee Tier" value={formatFeeTier(pool.fee_rate)} title={pool.fee_rate_source ? `Fee tier via ${pool.fee_rate_source}` : 'Fee tier unknown'} />
+                </div>
+
+                {/* Token composition */}
+                <h4 className="text-sm font-medium text-slate-300 mb-2">Tokens</h4>
+                <div className="efficiency-table-wrapper mb-6">
+                    <table className="efficiency-table">
+                        <tbody>
+                            {tokens.map((token, i) => (
+                                <tr key={`${i}-${token.symbol}`}>
+                                    <td className="font-medium">{token.symbol}</td>
+                                    <td className="text-xs text-slate-400">
+                                        {token.asset.known ? token.asset.name : 'Not in token registry'}
+                                        {token.asset.bridge && <span className="badge-partial">{token.asset.bridge}</span>}
+                                        <div className="text-slate-500">{categoryLabel(token.asset.category)}</div>
+                                    </td>
+                                    <td className="font-mono text-xs text-slate-400">
+                                        {token.coinType ? (
+                                            <a href={explorerCoinUrl(token.coinType)} target="_blank" rel="noopener noreferrer" className="hover:text-[#7D99FD]" title={token.coinType}>
+                                                {shortenAddress(token.coinType)}
+                                            </a>
+                                        ) : 'coin type not reported'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {pool.current_price > 0 && tokens.length === 2 && (
+                        <p className="text-xs text-slate-400 mt-2">
+                            Price: 1 {tokens[0].symbol} = {pool.current_price.toPrecision(6)} {tokens[1].symbol}
+                        </p>
+                    )}
+                    {pool.emissions?.length > 0 && (
+                        <p className="text-xs text-slate-400 mt-1">
+                            Rewards: {pool.emissions.map(e => `${e.token} (${formatPercent(e.apr)})`).join(', ')}
+                        </p>
+                    )}
+                </div>
+
+                {/* History */}
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                    <div className="toggle-group">
+                        {CHARTS.map(c => (
+                            <button
+                                key={c.key}
+                                className={`toggle-btn ${chart === c.key ? 'active' : ''}`}
+                                onClick={() => setChart(c.key)}
+                                title={c.description}
+                            >
+                                {c.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <div className="toggle-group">
+                            {HISTORY_SOURCES.map(s => (
+                                <button
+                                    key={s.key}
+                                    className={`toggle-btn ${source.key === s.key ? 'active' : ''}`}
+                                    onClick={() => setSourceChoice(s.key)}
+                                    disabled={s.key === 'defillama' && !historyAvailable}
+                                    title={s.key === 'defillama' && !historyAvailable
+                                        ? `This ${pool.dex} row is keyed by its on-chain address; DefiLlama yields has no history for it`
+                                        : `${s.description} daily history`}
+                                >
+                                    {s.label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="toggle-group">
+                            {PERIODS.map(p => (
+                                <button
+                                    key={p.days}
+                                    className={`toggle-btn ${period === p.days ? 'active' : ''}`}
+                                    onClick={() => setPeriod(p.days)}
+                                >
+                                    {p.label}
+                                </button>
+                            ))}
+                        </div>
+                        <button
+                            className={`toggle-btn flex items-center gap-1 ${showAnnotations ? 'active' : ''}`}
+                            onClick={() => setShowAnnotations(v => !v)}
+                            title="Events tagged to this pool, its DEX or all charts"
+                        >
+                            <Flag size={12} />
+                            {markers.length > 0 ? markers.reduce((n, m) => n + m.events.length, 0) : ''}
+                        </button>
+                    </div>
+                </div>
+
+                <div className="h-64">
+                    {loading ? (
+                        <div className="h-full flex items-center justify-center text-slate-400">
+                            <RefreshCw className="spin mr-2" size={18} />
+                            Loading pool history...
+                        </div>
+                    ) : error ? (
+                        <div className="h-full flex flex-col items-center justify-center gap-3 text-sm text-center px-6">
+                            <p className="text-red-300">Failed to load {source.description} history: {error}</p>
+                            <button className="period-btn active" onClick={() => setReloadKey(key => key + 1)}>
+                                Retry
+                            </button>
+                        </div>
+                    ) : chart === 'volume' && chartData.length > 0 && !hasVolume ? (
+                        <div className="h-full flex items-center justify-center text-slate-500 text-sm">
+                            {source.description} has no daily volume for this pool
+                        </div>
+                    ) : chartData.length > 0 ? (
+                        <ResponsiveContainer width="100%" height="100%">
+                            {renderChart()}
+                        </ResponsiveContainer>
+                    ) : (
+                        <div className="h-full flex items-center justify-center text-slate-500 text-sm text-center px-6">
+                            {source.key === 'snapshots'
+                                ? 'No local snapshots of this pool yet. They are recorded each time pool data loads in a live mode (Full Sail pools and the largest pools by TVL).'
+                                : 'No daily history available for this pool'}
+                        </div>
+                    )}
+                </div>
+                {history.length > 0 && (
+                    <p className="text-xs text-slate-500 mt-2">
+                        {history.length} days of history since {history[0].date} · {source.description}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PoolDetailDrawer;
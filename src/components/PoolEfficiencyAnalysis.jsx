@@ -1,30 +1,56 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { TrendingUp, Filter, RefreshCw, ChevronDown, ChevronLeft, ChevronRight } from 'lucide-react';
-// Unified data source (supports DefiLlama and GraphQL modes)
-import { fetchPoolData as fetchDataFromSource } from '../lib/data-source';
-
-// DEX Colors (Full Sail Brand)
-const DEX_COLORS = {
-    'Full Sail': '#7D99FD',  // Full Sail Blue
-    'Cetus': '#10b981',      // Emerald
-    'Bluefin': '#3b82f6',    // Blue
-};
-
-// Common token pairs to filter
-const TOKEN_PAIRS = [
-    { value: 'all', label: 'All Pairs' },
-    { value: 'SUI/USDC', label: 'SUI/USDC' },
-    { value: 'ETH/USDC', label: 'ETH/USDC' },
-    { value: 'WBTC/USDC', label: 'WBTC/USDC' },
-    { value: 'IKA/SUI', label: 'IKA/SUI' },
-    { value: 'DEEP', label: 'DEEP Pools' },
-    { value: 'SUI', label: 'All SUI Pairs' },
-    { value: 'USDC', label: 'All USDC Pairs' },
-];
+import { TrendingUp, Filter, RefreshCw, ChevronDown, ChevronLeft, ChevronRight, AlertTriangle, Download, Search } from 'lucide-react';
+// Unified data source (supports DefiLlama, Full Sail SDK, hybrid, and direct DEX API modes)
+import { useDashboardData } from './DashboardDataProvider';
+import { describeQualityFlags } from '../lib/data-quality';
+import { DEX_NAMES, dexColor } from '../lib/dex-registry';
+import { URL_CODECS, oneOf } from '../lib/url-state';
+import { toCsv, toJsonExport, downloadFile, exportFileName } from '../lib/export';
+import { poolAddress } from '../lib/pool-detail';
+import { poolPair, pairFilterOptions, matchesPairFilter, pairFilterLabel } from '../lib/pool-pairs';
+import { DATA_SOURCE_LABELS } from '../lib/data-source';
+import { useUrlState } from './useUrlState';
 
+const ITEMS_PER_PAGE = 20;
 
+// URL codecs for the table filters ('SUI/USDC' / 'SUI' from older links map to pair / token filters)
+const PAIR_CODEC = {
+    parse: (raw) => {
+        if (raw === 'all' || /^(pair|token|category):.+/.test(raw)) return raw;
+        return raw.includes('/') ? `pair:${raw.toUpperCase()}` : `token:${raw.toUpperCase()}`;
+    },
+    serialize: (value) => value,
+};
+const DEX_CODEC = oneOf(['all', ...DEX_NAMES]);
+const TIME_RANGE_CODEC = oneOf(['24h', '7d', '30d']);
+
+// 7d / 30d fee window state: 'complete' | 'partial' (short history) | 'not computed' (no history)
+const windowStatus = (pool, timeRange) => {
+    if (pool.missing_windows?.includes(timeRange)) return 'not computed';
+    if (pool.partial_windows?.includes(timeRange)) return 'partial';
+    return 'complete';
+};
 
-const ITEMS_PER_PAGE = 20;
+// Export columns (raw values) for the selected fee window
+const exportColumns = (timeRange) => [
+    { key: 'id', label: 'Pool ID' },
+    { key: 'name', label: 'Pool' },
+    { key: 'dex', label: 'DEX' },
+    { key: 'pair', label: 'Canonical pair', value: pool => pool.pair?.key },
+    { key: 'address', label: 'Address', value: pool => poolAddress(pool) },
+    { key: 'fee_rate', label: 'Fee tier (fraction)' },
+    { key: 'tvl', label: timeRange === '24h' ? 'TVL (USD)' : `TVL (USD, ${timeRange} average where computed)` },
+    { key: `volume_${timeRange}`, label: `Volume ${timeRange} (USD)` },
+    { key: `fees_${timeRange}`, label: `Fees ${timeRange} (USD)` },
+    { key: 'fee_tvl_ratio', label: 'Fee/TVL (annualized, fraction)' },
+    { key: 'vol_tvl_ratio', label: 'Volume/TVL 24h' },
+    { key: 'fee_vol_ratio', label: 'Fee/Volume 24h' },
+    { key: 'apr', label: timeRange === '24h' ? 'LP yield APR (%)' : `LP yield APR (%, ${timeRange} average where computed)` },
+    { key: 'apyBase', label: 'Base APY (%)' },
+    { key: 'apyReward', label: 'Reward APY (%)' },
+    { key: 'window_status', label: 'Fee window', value: pool => windowStatus(pool, timeRange) },
+    { key: 'quality_flags', label: 'Quality flags', value: pool => pool.quality_flags || [] },
+];
 
 // Format helpers
 const formatNumber = (num) => {
@@ -40,6 +66,11 @@ const formatPercent = (num) => {
     return `${num.toFixed(2)}%`;
 };
 
+const formatFeeTier = (rate) => {
+    if (!rate || isNaN(rate)) return '-';
+    return `${parseFloat((rate * 100).toFixed(4))}%`;
+};
+
 const formatRatio = (num) => {
     if (!num || isNaN(num)) return '-';
     return num.toFixed(4);
@@ -60,126 +91,130 @@ const ChartTooltip = ({ active, payload, label }) => {
     );
 };
 
-const PoolEfficiencyAnalysis = () => {
-    const [pools, setPools] = useState([]);
-    const [loading, setLoading] = useState(true);
-
-    // Filters
-    const [selectedPair, setSelectedPair] = useState('all');
-    const [selectedDex, setSelectedDex] = useState('all');
+/**
+ * Pool table with pair / DEX filters and 24h / 7d / 30d fee windows
+ * @param {Object} props - { onSelectPool: called with a pool id when a row is clicked }
+ */
+const PoolEfficiencyAnalysis = ({ onSelectPool }) => {
+    const {
+        poolData,
+        windowPoolData,
+        requestWindowPools,
+        retryWindowPools,
+        loading: loadingState,
+        errors,
+        refresh,
+        refreshing,
+    } = useDashboardData();
+
+    // Filters (kept in the URL with the sort and page)
+    const [selectedPair, setSelectedPair] = useUrlState('pair', 'all', { codec: PAIR_CODEC });
+    const [selectedDex, setSelectedDex] = useUrlState('dex', 'all', { codec: DEX_CODEC });
+    // Typing replaces the history entry instead of adding one per keystroke
+    const [searchTerm, setSearchTerm] = useUrlState('search', '', { replace: true });
     const [showDexDropdown, setShowDexDropdown] = useState(false);
-    const [timeRange, setTimeRange] = useState('24h'); // 24h, 7d, 30d for Fees columns
+    const [timeRange, setTimeRange] = useUrlState('window', '24h', { codec: TIME_RANGE_CODEC }); // 24h, 7d, 30d for Fees columns
 
     // Table Sort & Pagination
-    const [sortConfig, setSortConfig] = useState({ key: 'fees_24h', direction: 'desc' });
-    const [currentPage, setCurrentPage] = useState(1);
+    const [sortConfig, setSortConfig] = useUrlState('poolSort', { key: 'fees_24h', direction: 'desc' }, { codec: URL_CODECS.sort });
+    const [requestedPage, setCurrentPage] = useUrlState('page', 1, { codec: URL_CODECS.positiveInt });
     const [showDropdown, setShowDropdown] = useState(false);
 
-    const fetchData = async () => {
-        setLoading(true);
-        try {
-            // Fetch pool data from unified data source
-            const data = await fetchDataFromSource();
-
-            // Calculate efficiency ratios for each pool
-            const poolData = (data.pools || []).map(pool => {
-                return {
-                    ...pool,
-                    // Calculate ratios from pool-level data
-                    fee_tvl_ratio: pool.tvl > 0 ? (pool.fees_24h * 365) / pool.tvl : 0,
-                    vol_tvl_ratio: pool.tvl > 0 ? pool.volume_24h / pool.tvl : 0,
-                    fee_vol_ratio: pool.volume_24h > 0 ? pool.fees_24h / pool.volume_24h : 0,
-                    apr: pool.apr || (pool.feeRate ? (pool.feeRate * 365 * 100) : 0),
-                };
-            });
-            setPools(poolData);
-        } catch (e) {
-            console.error('Failed to fetch pool data:', e);
-        } finally {
-            setLoading(false);
-        }
-    };
-
-    useEffect(() => {
-        fetchData();
-    }, []);
+    // 7d/30d fee columns need the rolling-window pool data (per-pool history);
+    // a failed window load shows its error and a retry, not a spinner
+    const needsWindows = timeRange !== '24h';
+    const sourceData = needsWindows ? windowPoolData : poolData;
+    const loading = needsWindows ? loadingState.windowPools : loadingState.pools;
+    const windowError = needsWindows && !loading && !windowPoolData ? errors.windowPools || 'Rolling-window data unavailable' : null;
+    const quality = sourceData?.quality;
 
-    // Reset page when filters change
     useEffect(() => {
-        setCurrentPage(1);
-    }, [selectedPair, selectedDex, sortConfig]);
+        if (needsWindows) requestWindowPools();
+    }, [needsWindows]);
+
+    // Calculate efficiency ratios and the canonical pair for each pool
+    const pools = useMemo(() => (sourceData?.pools || []).map(pool => {
+        // 7d / 30d show the trailing TVL / APR averages where the history covers the pool (spot otherwise)
+        const tvlAvg = needsWindows ? pool[`tvl_avg_${timeRange}`] : null;
+        const aprAvg = needsWindows ? pool[`apr_avg_${timeRange}`] : null;
+        return {
+            ...pool,
+            pair: poolPair(pool),
+            // Calculate ratios from pool-level data
+            fee_tvl_ratio: pool.tvl > 0 ? (pool.fees_24h * 365) / pool.tvl : 0,
+            vol_tvl_ratio: pool.tvl > 0 ? pool.volume_24h / pool.tvl : 0,
+            fee_vol_ratio: pool.volume_24h > 0 ? pool.fees_24h / pool.volume_24h : 0,
+            tvl: tvlAvg ?? pool.tvl,
+            apr: aprAvg ?? (pool.apr || 0),
+            averaged: tvlAvg != null,
+        };
+    }), [sourceData, needsWindows, timeRange]);
+
+    // Pair / token / category options from the loaded pools (of the selected DEX)
+    const pairOptions = useMemo(
+        () => pairFilterOptions(selectedDex === 'all' ? pools : pools.filter(pool => pool.dex === selectedDex)),
+        [pools, selectedDex]
+    );
 
-    // Filter logic - improved token matching
+    // Filter logic - canonical pairs, so token order and symbol spelling don't matter;
+    // the search matches the pool name or its canonical pair
     const filteredPools = useMemo(() => {
+        const search = searchTerm.trim().toLowerCase();
         return pools.filter(pool => {
-            // DEX filter
-            if (selectedDex !== 'all' && pool.dex !== selectedDex) {
-                return false;
-            }
-
-            // Pair filter with improved token matching
-            if (selectedPair !== 'all') {
-                const name = pool.name?.toUpperCase() || '';
-                const filter = selectedPair.toUpperCase();
-
-                // Helper to check if token exists as a discrete token in the pair name
-                // This prevents STSUI, HASUI, SUIUSDT from matching when filtering for SUI
-                const hasExactToken = (poolName, token) => {
-                    // Split by common separators and check for exact match
-                    const tokens = poolName.split(/[-\/\s]+/);
-                    return tokens.some(t => t === token);
-                };
-
-                if (filter === 'DEEP') {
-                    if (!hasExactToken(name, 'DEEP')) return false;
-                } else if (filter === 'SUI' || filter === 'USDC') {
-                    // For generic token filters, require exact token match
-                    if (!hasExactToken(name, filter)) return false;
-                } else {
-                    // For specific pairs like SUI/USDC, both tokens must match exactly
-                    const [token1, token2] = filter.split('/');
-                    if (!(hasExactToken(name, token1) && hasExactToken(name, token2))) return false;
-                }
-            }
-
-            return true;
+            if (selectedDex !== 'all' && pool.dex !== selectedDex) return false;
+            if (search && !pool.name?.toLowerCase().includes(search) && !pool.pair.key.toLowerCase().includes(search)) return false;
+            return matchesPairFilter(pool.pair, selectedPair);
         });
-    }, [pools, selectedPair, selectedDex]);
+    }, [pools, selectedPair, selectedDex, searchTerm]);
 
     // Sort logic
     const sortedPools = useMemo(() => {
         return [...filteredPools].sort((a, b) => {
-            const aVal = a[sortConfig.key] || 0;
-            const bVal = b[sortConfig.key] || 0;
+            const aVal = a[sortConfig.key];
+            const bVal = b[sortConfig.key];
+            // Values that were not computed (null) go last in either direction
+            if (aVal == null || bVal == null) return (aVal == null) - (bVal == null);
             return sortConfig.direction === 'desc' ? bVal - aVal : aVal - bVal;
         });
     }, [filteredPools, sortConfig]);
 
-    // Pagination logic
+    // Pagination logic (a linked page past the end shows the last page)
     const totalPages = Math.ceil(sortedPools.length / ITEMS_PER_PAGE);
+    const currentPage = Math.min(requestedPage, Math.max(1, totalPages));
     const paginatedPools = useMemo(() => {
         const start = (currentPage - 1) * ITEMS_PER_PAGE;
         return sortedPools.slice(start, start + ITEMS_PER_PAGE);
     }, [sortedPools, currentPage]);
 
+    // Export every filtered, sorted row (all pages)
+    const exportPools = (format) => {
+        const columns = exportColumns(timeRange);
+        const metadata = {
+            table: 'Sui DEX pools',
+            sourceMode: DATA_SOURCE_LABELS[sourceData?.mode] || sourceData?.mode,
+            dataFetchedAt: sourceData?.fetchedAt || null,
+            exportedAt: new Date().toISOString(),
+            pair: pairFilterLabel(selectedPair),
+            dex: selectedDex === 'all' ? 'All DEXs' : selectedDex,
+            search: searchTerm.trim() || null,
+            feeWindow: timeRange,
+            sort: `${sortConfig.key} ${sortConfig.direction}`,
+            rows: sortedPools.length,
+        };
+        const fileName = exportFileName('sui-dex-pools', format);
+        if (format === 'csv') downloadFile(fileName, toCsv(columns, sortedPools, metadata), 'text/csv');
+        else downloadFile(fileName, toJsonExport(columns, sortedPools, metadata), 'application/json');
+    };
+
+    // Filter and sort changes go back to the first page
     const handleSort = (key) => {
         setSortConfig(prev => ({
             key,
             direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
         }));
+        setCurrentPage(1);
     };
 
-    if (loading) {
-        return (
-            <div className="efficiency-card loading">
-                <div className="loading-spinner">
-                    <RefreshCw className="spin" size={24} />
-                    <span>Loading dashboard data...</span>
-                </div>
-            </div>
-        );
-    }
-
     return (
         <div className="pool-efficiency-section">
             {/* Main Pool Table */}
@@ -191,6 +226,21 @@ const PoolEfficiencyAnalysis = () => {
                     </div>
 
                     <div className="filter-controls">
+                        {/* Pool name search */}
+                        <label className="dropdown-btn">
+                            <Search size={16} />
+                            <input
+                                type="search"
+                                value={searchTerm}
+                                onChange={(e) => {
+                                    setSearchTerm(e.target.value);
+                                    setCurrentPage(1);
+                                }}
+                                placeholder="Search pools"
+                                className="bg-transparent outline-none text-slate-200 placeholder-slate-500 w-32"
+                            />
+                        </label>
+
                         {/* Time Range Toggle */}
                         <div className="toggle-group">
                             {['24h', '7d', '30d'].map(range => (
@@ -216,12 +266,13 @@ const PoolEfficiencyAnalysis = () => {
                             </button>
                             {showDexDropdown && (
                                 <div className="dropdown-menu">
-                                    {['all', 'Full Sail', 'Cetus', 'Bluefin'].map(dex => (
+                                    {['all', ...DEX_NAMES].map(dex => (
                                         <button
                                             key={dex}
                                             className={`dropdown-item ${selectedDex === dex ? 'active' : ''}`}
                                             onClick={() => {
                                                 setSelectedDex(dex);
+                                                setCurrentPage(1);
                                                 setShowDexDropdown(false);
                                             }}
                                         >
@@ -239,120 +290,231 @@ const PoolEfficiencyAnalysis = () => {
                                 onClick={() => setShowDropdown(!showDropdown)}
                             >
                                 <Filter size={16} />
-                                {TOKEN_PAIRS.find(p => p.value === selectedPair)?.label}
+                                {pairFilterLabel(selectedPair)}
                                 <ChevronDown size={16} />
                             </button>
                             {showDropdown && (
-                                <div className="dropdown-menu">
-                                    {TOKEN_PAIRS.map(pair => (
-                                        <button
-                                            key={pair.value}
-                                            className={`dropdown-item ${selectedPair === pair.value ? 'active' : ''}`}
-                                            onClick={() => {
-                                                setSelectedPair(pair.value);
-                                                setShowDropdown(false);
-                                            }}
-                                        >
-                                            {pair.label}
-                                        </button>
+                                <div className="dropdown-menu scrollable">
+                                    {[
+                                        { title: null, options: [{ value: 'all', label: 'All Pairs' }] },
+                                        { title: 'Pairs', options: pairOptions.pairs },
+                                        { title: 'Tokens', options: pairOptions.tokens },
+                                        { title: 'Categories', options: pairOptions.categories },
+                                    ].filter(section => section.options.length > 0).map(section => (
+                                        <div key={section.title || 'all'}>
+                                            {section.title && <div className="dropdown-section">{section.title}</div>}
+                                            {section.options.map(option => (
+                                                <button
+                                                    key={option.value}
+                                                    className={`dropdown-item ${selectedPair === option.value ? 'active' : ''}`}
+                                                    onClick={() => {
+                                                        setSelectedPair(option.value);
+                                                        setCurrentPage(1);
+                                                        setShowDropdown(false);
+                                                    }}
+                                                >
+                                                    {option.label}
+                                                    {option.count > 0 && <span className="dropdown-count">{option.count}</span>}
+                                                </button>
+                                            ))}
+                                        </div>
                                     ))}
                                 </div>
                             )}
                         </div>
 
-                        <button className="refresh-btn" onClick={fetchData}>
+                        {/* Export (all filtered rows, current sort) */}
+                        <div className="toggle-group">
+                            {['csv', 'json'].map(format => (
+                                <button
+                                    key={format}
+                                    className="toggle-btn flex items-center gap-1"
+                                    onClick={() => exportPools(format)}
+                                    disabled={sortedPools.length === 0}
+                                    title={`Download all ${sortedPools.length} filtered pools as ${format.toUpperCase()} (raw values)`}
+                                >
+                                    <Download size={12} />
+                                    {format.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+
+                        <button className="refresh-btn" onClick={refresh} disabled={refreshing}>
                             <RefreshCw size={16} />
                         </button>
                     </div>
                 </div>
 
-                <div className="pagination-info">
-                    Page {currentPage} of {totalPages || 1}
-                </div>
+                {loading ? (
+                    <div className="loading-spinner">
+                        <RefreshCw className="spin" size={20} />
+                        <span>{needsWindows ? `Loading ${timeRange} pool history...` : 'Loading dashboard data...'}</span>
+                    </div>
+                ) : windowError ? (
+                    <div className="reconcile-empty">
+                        <p>Failed to load {timeRange} pool data: {windowError}</p>
+                        <button className="period-btn active" onClick={retryWindowPools}>
+                            Retry
+                        </button>
+                    </div>
+                ) : (
+                    <>
+                    {/* Data quality: suspect rows and rows dropped by schema validation */}
+                    {(quality?.flagged > 0 || quality?.schema?.length > 0) && (
+                        <div className="quality-summary">
+                            <AlertTriangle size={14} />
+                            <div>
+                                {quality.flagged > 0 && (
+                                    <div>
+                                        {quality.flagged} suspect {quality.flagged === 1 ? 'row' : 'rows'}:{' '}
+                                        {quality.byRule.map(rule => `${rule.label} (${rule.count})`).join(', ')}
+                                    </div>
+                                )}
+                                {quality.schema?.map(report => (
+                                    <div key={report.name} title={report.errors.join('\n')}>
+                                        {report.rootError
+                                            ? `${report.label}: response rejected (unexpected shape)`
+                                            : `${report.label}: dropped ${report.dropped} of ${report.total} rows (schema mismatch)`}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
 
-                <div className="efficiency-table-wrapper">
-                    <table className="efficiency-table">
-                        <thead>
-                            <tr>
-                                <th className="efficiency-th">Pool</th>
-                                <th className="efficiency-th">DEX</th>
-                                <th className="efficiency-th sortable" onClick={() => handleSort('tvl')}>TVL {sortConfig.key === 'tvl' && '↓'}</th>
-
-                                {/* Fees - Dynamic based on timeRange */}
-                                <th className="efficiency-th sortable" onClick={() => handleSort(`fees_${timeRange}`)}>
-                                    Fees ({timeRange}) {sortConfig.key === `fees_${timeRange}` && '↓'}
-                                </th>
-
-                                {/* Efficiency Ratios */}
-                                <th className="efficiency-th sortable" onClick={() => handleSort('fee_tvl_ratio')} title="Annualized Fees / TVL">Fee/TVL {sortConfig.key === 'fee_tvl_ratio' && '↓'}</th>
-                                <th className="efficiency-th sortable" onClick={() => handleSort('apr')} title="LP Yield (Fees + Rewards)">LP Yield {sortConfig.key === 'apr' && '↓'}</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {paginatedPools.map(pool => (
-                                <tr key={pool.id}>
-                                    <td className="pool-name-cell">
-                                        <div className="pool-name-main">{pool.name}</div>
-                                    </td>
-                                    <td className="dex-name-cell">
-                                        <span className="dex-indicator" style={{ backgroundColor: DEX_COLORS[pool.dex] }} />
-                                        {pool.dex}
-                                    </td>
-                                    <td>{formatNumber(pool.tvl)}</td>
+                    <div className="pagination-info">
+                        Page {currentPage} of {totalPages || 1}
+                    </div>
 
-                                    {/* Fees - Dynamic based on timeRange */}
-                                    <td className="font-mono">{formatNumber(pool[`fees_${timeRange}`])}</td>
+                    <div className="efficiency-table-wrapper">
+                        <table className="efficiency-table">
+                            <thead>
+                                <tr>
+                                    <th className="efficiency-th">Pool</th>
+                                    <th className="efficiency-th">DEX</th>
+                                    <th className="efficiency-th sortable" onClick={() => handleSort('fee_rate')} title="Pool fee tier (swap fee rate)">Fee Tier {sortConfig.key === 'fee_rate' && '↓'}</th>
+                                    <th className="efficiency-th sortable" onClick={() => handleSort('tvl')} title={needsWindows ? `Average TVL over ${timeRange}` : undefined}>
+                                        TVL {needsWindows && `(${timeRange} avg)`} {sortConfig.key === 'tvl' && '↓'}
+                                    </th>
 
-                                    {/* Ratios */}
-                                    <td className={pool.fee_tvl_ratio > 0.5 ? 'highlight-good' : ''}>
-                                        {formatPercent(pool.fee_tvl_ratio * 100)}
-                                    </td>
-                                    <td className={pool.apr > 20 ? 'highlight-good' : ''}>{formatPercent(pool.apr)}</td>
+                                    {/* Fees - Dynamic based on timeRange */}
+                                    <th className="efficiency-th sortable" onClick={() => handleSort(`fees_${timeRange}`)}>
+                                        Fees ({timeRange}) {sortConfig.key === `fees_${timeRange}` && '↓'}
+                                    </th>
+
+                                    {/* Efficiency Ratios */}
+                                    <th className="efficiency-th sortable" onClick={() => handleSort('fee_tvl_ratio')} title="Annualized Fees / TVL">Fee/TVL {sortConfig.key === 'fee_tvl_ratio' && '↓'}</th>
+                                    <th className="efficiency-th sortable" onClick={() => handleSort('apr')} title={needsWindows ? `LP Yield (Fees + Rewards), average over ${timeRange}` : 'LP Yield (Fees + Rewards)'}>
+                                        LP Yield {needsWindows && `(${timeRange} avg)`} {sortConfig.key === 'apr' && '↓'}
+                                    </th>
                                 </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                </div>
+                            </thead>
+                            <tbody>
+                                {paginatedPools.map(pool => (
+                                    <tr
+                                        key={pool.id}
+                                        className="clickable-row"
+                                        tabIndex={0}
+                                        title="Show pool details"
+                                        onClick={() => onSelectPool?.(pool.id)}
+                                        onKeyDown={(e) => e.key === 'Enter' && onSelectPool?.(pool.id)}
+                                    >
+                                        <td className="pool-name-cell">
+                                            <div className="pool-name-main">{pool.name}</div>
+                                            {pool.quality_flags?.length > 0 && (
+                                                <span
+                                                    className="badge-warning"
+                                                    title={`Suspect data: ${describeQualityFlags(pool.quality_flags).join(', ')}`}
+                                                >
+                                                    <AlertTriangle size={10} />
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="dex-name-cell">
+                                            <span className="dex-indicator" style={{ backgroundColor: dexColor(pool.dex) }} />
+                                            {pool.dex}
+                                        </td>
+                                        <td className="font-mono" title={pool.fee_rate_source ? `Fee tier via ${pool.fee_rate_source}` : 'Fee tier unknown'}>
+                                            {formatFeeTier(pool.fee_rate)}
+                                        </td>
+                                        <td title={needsWindows && !pool.averaged ? 'Spot value: no pool history for this window' : undefined}>
+                                            {formatNumber(pool.tvl)}
+                                        </td>
+
+                                        {/* Fees - Dynamic based on timeRange */}
+                                        <td
+                                            className="font-mono"
+                                            title={pool.missing_windows?.includes(timeRange)
+                                                ? 'Not computed: no pool history (outside the largest pools by TVL, or the history request failed)'
+                                                : undefined}
+                                        >
+                                            {formatNumber(pool[`fees_${timeRange}`])}
+                                            {pool.partial_windows?.includes(timeRange) && (
+                                                <span
+                                                    className="badge-partial"
+                                                    title={`Only ${pool.history_days || 0} days of history available`}
+                                                >
+                                                    partial
+                                                </span>
+                                            )}
+                                        </td>
+
+                                        {/* Ratios */}
+                                        <td className={pool.fee_tvl_ratio > 0.5 ? 'highlight-good' : ''}>
+                                            {formatPercent(pool.fee_tvl_ratio * 100)}
+                                        </td>
+                                        <td
+                                            className={pool.apr > 20 ? 'highlight-good' : ''}
+                                            title={needsWindows && !pool.averaged ? 'Spot value: no pool history for this window' : undefined}
+                                        >
+                                            {formatPercent(pool.apr)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
 
-                {/* Pagination Controls */}
-                {totalPages > 1 && (
-                    <div className="pagination-controls">
-                        <button
-                            className="pagination-btn"
-                            onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
-                            disabled={currentPage === 1}
-                        >
-                            <ChevronLeft size={16} /> Previous
-                        </button>
+                    {/* Pagination Controls */}
+                    {totalPages > 1 && (
+                        <div className="pagination-controls">
+                            <button
+                                className="pagination-btn"
+                                onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                                disabled={currentPage === 1}
+                            >
+                                <ChevronLeft size={16} /> Previous
+                            </button>
 
-                        <div className="pagination-pages">
-                            {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-                                let pageNum;
-                                if (totalPages <= 5) pageNum = i + 1;
-                                else if (currentPage <= 3) pageNum = i + 1;
-                                else if (currentPage >= totalPages - 2) pageNum = totalPages - 4 + i;
-                                else pageNum = currentPage - 2 + i;
-
-                                return (
-                                    <button
-                                        key={pageNum}
-                                        className={`pagination-page ${currentPage === pageNum ? 'active' : ''}`}
-                                        onClick={() => setCurrentPage(pageNum)}
-                                    >
-                                        {pageNum}
-                                    </button>
-                                );
-                            })}
-                        </div>
+                            <div className="pagination-pages">
+                                {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
+                                    let pageNum;
+                                    if (totalPages <= 5) pageNum = i + 1;
+                                    else if (currentPage <= 3) pageNum = i + 1;
+                                    else if (currentPage >= totalPages - 2) pageNum = totalPages - 4 + i;
+                                    else pageNum = currentPage - 2 + i;
 
-                        <button
-                            className="pagination-btn"
-                            onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
-                            disabled={currentPage === totalPages}
-                        >
-                            Next <ChevronRight size={16} />
-                        </button>
-                    </div>
+                                    return (
+                                        <button
+                                            key={pageNum}
+                                            className={`pagination-page ${currentPage === pageNum ? 'active' : ''}`}
+                                            onClick={() => setCurrentPage(pageNum)}
+                                        >
+                                            {pageNum}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+
+                            <button
+                                className="pagination-btn"
+                                onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                                disabled={currentPage === totalPages}
+                            >
+                                Next <ChevronRight size={16} />
+                            </button>
+                        </div>
+                    )}
+                    </>
                 )}
             </div>
         </div >
@@ -0,0 +1,188 @@
+import React, { useState, useMemo } from 'react';
+import { GitCompare, RefreshCw, AlertTriangle } from 'lucide-react';
+import { reconcilePools, fetchReconciliationSources, RECONCILED_METRICS } from '../lib/reconcile';
+
+// Tolerance presets (relative divergence per metric)
+const TOLERANCES = [0.05, 0.1, 0.25, 0.5];
+
+// Row filters
+const VIEWS = [
+    { key: 'diverged', label: 'Diverged' },
+    { key: 'matched', label: 'Matched' },
+    { key: 'all', label: 'All' },
+];
+
+// Format helpers
+const formatNumber = (num) => {
+    if (!num || isNaN(num)) return '-';
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+    return `$${num.toFixed(0)}`;
+};
+
+const formatPercent = (num) => {
+    if (!num || isNaN(num)) return '-';
+    return `${num.toFixed(2)}%`;
+};
+
+const formatMetric = (key, value) => (key === 'apr' ? formatPercent(value) : formatNumber(value));
+
+const ReconciliationReport = () => {
+    const [sourcePools, setSourcePools] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [tolerance, setTolerance] = useState(0.1);
+    const [view, setView] = useState('diverged');
+
+    const runReport = async (forceRefresh = false) => {
+        setLoading(true);
+        setError(null);
+        try {
+            setSourcePools(await fetchReconciliationSources({ forceRefresh }));
+        } catch (e) {
+            console.error('Reconciliation failed:', e);
+            setError('Failed to load sources for reconciliation');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const report = useMemo(
+        () => (sourcePools ? reconcilePools(sourcePools, { tolerance }) : null),
+        [sourcePools, tolerance]
+    );
+
+    const visibleRows = useMemo(() => {
+        if (!report) return [];
+        const rows = report.rows.filter(r => {
+            if (view === 'diverged') return r.status === 'diverged';
+            if (view === 'matched') return r.status !== 'single-source';
+            return true;
+        });
+        // Largest TVL divergence first
+        return rows.sort((a, b) => b.deltas.tvl.rel - a.deltas.tvl.rel);
+    }, [report, view]);
+
+    return (
+        <div className="efficiency-card">
+            <div className="efficiency-header">
+                <div className="efficiency-title">
+                    <GitCompare size={20} />
+                    <h3>Source Reconciliation</h3>
+                </div>
+
+                <div className="filter-controls">
+                    {/* Tolerance */}
+                    <div className="toggle-group" title="Relative difference allowed before a metric is flagged">
+                        {TOLERANCES.map(t => (
+                            <button
+                                key={t}
+                                className={`toggle-btn ${tolerance === t ? 'active' : ''}`}
+                                onClick={() => setTolerance(t)}
+                            >
+                                ±{t * 100}%
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Row filter */}
+                    <div className="toggle-group">
+                        {VIEWS.map(v => (
+                            <button
+                                key={v.key}
+                                className={`toggle-btn ${view === v.key ? 'active' : ''}`}
+                                onClick={() => setView(v.key)}
+                            >
+                                {v.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <button className="refresh-btn" onClick={() => runReport(!!report)} disabled={loading}>
+                        <RefreshCw size={16} className={loading ? 'spin' : ''} />
+                    </button>
+                </div>
+            </div>
+
+            {!report && !loading && !error && (
+                <div className="reconcile-empty">
+                    <p>Compare DefiLlama pool metrics against the native DEX APIs, matched by pool address.</p>
+                    <button className="period-btn active" onClick={() => runReport()}>
+                        Run reconciliation
+                    </button>
+                </div>
+            )}
+
+            {loading && (
+                <div className="loading-spinner">
+                    <RefreshCw className="spin" size={20} />
+                    <span>Fetching DefiLlama and native DEX data...</span>
+                </div>
+            )}
+
+            {error && <div className="reconcile-empty">{error}</div>}
+
+            {report && !loading && (
+                <>
+                    <div className="pagination-info">
+                        {report.summary.matched} matched • {report.summary.diverged} diverged beyond ±{tolerance * 100}% •
+                        unmatched: {Object.entries(report.summary.unmatched).map(([s, n]) => `${s} ${n}`).join(', ')}
+                    </div>
+
+                    <div className="efficiency-table-wrapper">
+                        <table className="efficiency-table">
+                            <thead>
+                                <tr>
+                                    <th className="efficiency-th">Pool</th>
+                                    <th className="efficiency-th">DEX</th>
+                                    {RECONCILED_METRICS.map(m => (
+                                        <th key={m.key} className="efficiency-th">
+                                            {m.label} ({report.sources.join(' / ')})
+                                        </th>
+                                    ))}
+                                    <th className="efficiency-th">Match</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRows.map(row => (
+                                    <tr key={row.key}>
+                                        <td className="pool-name-cell">
+                                            {row.status === 'diverged' && (
+                                                <AlertTriangle size={14} className="reconcile-flag" />
+                                            )}
+                                            <span className="pool-name-main">{row.name}</span>
+                                        </td>
+                                        <td>{row.dex}</td>
+                                        {RECONCILED_METRICS.map(m => (
+                                            <td
+                                                key={m.key}
+                                                className={`font-mono ${row.diverged.includes(m.key) ? 'highlight-bad' : ''}`}
+                                            >
+                                                {report.sources
+                                                    .map(s => (s in row.values[m.key] ? formatMetric(m.key, row.values[m.key][s]) : '—'))
+                                                    .join(' / ')}
+                                                {row.sources.length > 1 && (
+                                                    <span className="reconcile-delta">
+                                                        Δ {(row.deltas[m.key].rel * 100).toFixed(1)}%
+                                                    </span>
+                                                )}
+                                            </td>
+                                        ))}
+                                        <td className="top-pool-cell">{row.matchedBy || 'unmatched'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {visibleRows.length === 0 && (
+                        <div className="reconcile-empty">No pools in this view.</div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ReconciliationReport;
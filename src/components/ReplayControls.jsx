@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Circle, Square, Upload, HardDrive } from 'lucide-react';
+import { DATA_SOURCE_MODES } from '../lib/data-source';
+import {
+    startRecording,
+    stopRecording,
+    isRecording,
+    getRecordingSize,
+    loadReplayBundle,
+    isMissingFixtureError,
+    DEFAULT_FIXTURE_PATH,
+} from '../lib/replay';
+import { useDashboardData } from './DashboardDataProvider';
+
+/**
+ * Download a fixture bundle as a JSON file
+ */
+const downloadBundle = (bundle) => {
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sui-dex-fixture-${bundle.mode}-${new Date(bundle.recordedAt).toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Replay controls
+ * Records the live session's upstream responses into a fixture bundle, and
+ * loads a bundle for the offline Replay mode.
+ */
+const ReplayControls = () => {
+    const { mode, changeMode, poolData, errors, refresh, refreshing } = useDashboardData();
+    const [recording, setRecording] = useState(isRecording);
+    const [recordedCount, setRecordedCount] = useState(0);
+    const [loadError, setLoadError] = useState(null);
+    const fileInput = useRef(null);
+
+    const replaying = mode === DATA_SOURCE_MODES.REPLAY;
+    const replay = replaying ? poolData?.replay : null;
+    // Replay selected before any bundle was recorded or loaded (none ships with the repo)
+    const noFixture = replaying && !replay && isMissingFixtureError(errors.pools);
+
+    // Live count of captured responses while recording
+    useEffect(() => {
+        if (!recording) return undefined;
+        const timer = setInterval(() => setRecordedCount(getRecordingSize()), 1000);
+        return () => clearInterval(timer);
+    }, [recording]);
+
+    const handleRecord = () => {
+        if (recording) {
+            const bundle = stopRecording();
+            setRecording(false);
+            if (bundle) downloadBundle(bundle);
+            return;
+        }
+        startRecording(mode);
+        setRecording(true);
+        setRecordedCount(0);
+        // Capture a full load; panels opened afterwards are captured as they fetch
+        refresh();
+    };
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            await loadReplayBundle(JSON.parse(await file.text()));
+            setLoadError(null);
+            if (replaying) refresh();
+            else changeMode(DATA_SOURCE_MODES.REPLAY);
+        } catch (e) {
+            console.error('[Replay] Fixture load failed:', e);
+            setLoadError(e.message);
+        }
+    };
+
+    return (
+        <>
+            <div className="flex flex-wrap items-center justify-end gap-3 mb-6 text-sm text-slate-400">
+                {replay && (
+                    <span className="flex items-center gap-2 text-[#7D99FD]">
+                        <HardDrive size={14} />
+                        Replaying {replay.mode} fixture recorded {new Date(replay.recordedAt).toLocaleString()} ({replay.responses} responses)
+                    </span>
+                )}
+                {loadError && <span className="text-red-400" title={loadError}>Fixture not loaded: {loadError.slice(0, 80)}</span>}
+
+                <button
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-md bg-slate-800/50 hover:text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={handleRecord}
+                    disabled={replaying || (refreshing && !recording)}
+                    title={replaying ? 'Switch to a live mode to record' : 'Record upstream responses into a fixture bundle'}
+                >
+                    {recording ? (
+                        <>
+                            <Square size={14} className="text-red-400" />
+                            Stop &amp; save ({recordedCount})
+                        </>
+                    ) : (
+                        <>
+                            <Circle size={14} className="text-red-400" />
+                            Record fixture
+                        </>
+                    )}
+                </button>
+
+                <button
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-md bg-slate-800/50 hover:text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={() => fileInput.current?.click()}
+                    disabled={recording}
+                    title={`Replay a recorded bundle (default: /${DEFAULT_FIXTURE_PATH})`}
+                >
+                    <Upload size={14} />
+                    Load fixture
+                </button>
+                <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+            </div>
+
+            {noFixture && (
+                <div className="mb-6 p-4 rounded-xl border border-slate-700 bg-slate-800/50 text-sm text-slate-300">
+                    <p className="font-medium text-slate-200">No fixture to replay yet</p>
+                    <ol className="list-decimal list-inside mt-2 space-y-1 text-slate-400">
+                        <li>Switch to a live mode and click <strong>Record fixture</strong>.</li>
+                        <li>Open the panels you want to replay (7d/30d windows, history periods, reconciliation) so their requests are captured.</li>
+                        <li>Click <strong>Stop &amp; save</strong> to download the bundle.</li>
+                        <li>Click <strong>Load fixture</strong> and pick the file, or commit it as <code>public/{DEFAULT_FIXTURE_PATH}</code> to make it the default.</li>
+                    </ol>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default ReplayControls;
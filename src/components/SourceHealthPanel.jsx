@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { HeartPulse, ChevronDown, ChevronUp } from 'lucide-react';
+import { getSourceHealth, subscribeSourceHealth, SOURCE_STATUS } from '../lib/source-health';
+
+// Status display (dot colour + label)
+const STATUS_STYLES = {
+    [SOURCE_STATUS.OK]: { color: '#10b981', label: 'OK' },
+    [SOURCE_STATUS.STALE]: { color: '#f59e0b', label: 'Stale' },
+    [SOURCE_STATUS.PARTIAL]: { color: '#f59e0b', label: 'Partial' },
+    [SOURCE_STATUS.ERROR]: { color: '#ef4444', label: 'Error' },
+};
+
+const formatAge = (timestamp) => {
+    if (!timestamp) return '-';
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * Source health panel
+ * Lists every upstream the dashboard has called with its status, latency,
+ * row count, cache state and last error, so a failed source is not mistaken
+ * for a real zero.
+ */
+const SourceHealthPanel = () => {
+    const [sources, setSources] = useState(getSourceHealth);
+    const [expanded, setExpanded] = useState(false);
+
+    useEffect(() => subscribeSourceHealth(setSources), []);
+
+    const failing = sources.filter(s => s.status === SOURCE_STATUS.ERROR);
+    const degraded = sources.filter(s => s.status === SOURCE_STATUS.STALE || s.status === SOURCE_STATUS.PARTIAL);
+
+    // Open automatically when something breaks
+    useEffect(() => {
+        if (failing.length > 0) setExpanded(true);
+    }, [failing.length]);
+
+    if (sources.length === 0) return null;
+
+    return (
+        <div className="efficiency-card mb-6">
+            <button
+                className="w-full flex items-center justify-between text-left"
+                onClick={() => setExpanded(prev => !prev)}
+            >
+                <div className="efficiency-title">
+                    <HeartPulse size={20} />
+                    <h3>Data Sources</h3>
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                    <span className="text-slate-400">
+                        {sources.length - failing.length - degraded.length}/{sources.length} healthy
+                    </span>
+                    {degraded.length > 0 && <span className="text-amber-400">{degraded.length} degraded</span>}
+                    {failing.length > 0 && <span className="text-red-400">{failing.length} failing</span>}
+                    {expanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                </div>
+            </button>
+
+            {expanded && (
+                <div className="efficiency-table-wrapper mt-4">
+                    <table className="efficiency-table">
+                        <thead>
+                            <tr>
+                                <th className="efficiency-th">Source</th>
+                                <th className="efficiency-th">Status</th>
+                                <th className="efficiency-th">Latency</th>
+                                <th className="efficiency-th">Rows</th>
+                                <th className="efficiency-th">Cache</th>
+                                <th className="efficiency-th">Fetched</th>
+                                <th className="efficiency-th">Error</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sources.map(source => {
+                                const style = STATUS_STYLES[source.status] || STATUS_STYLES[SOURCE_STATUS.ERROR];
+                                return (
+                                    <tr key={source.id}>
+                                        <td>{source.label}</td>
+                                        <td>
+                                            <span className="dex-name-cell">
+                                                <span className="dex-indicator" style={{ backgroundColor: style.color }} />
+                                                {style.label}
+                                            </span>
+                                        </td>
+                                        <td>{source.latencyMs !== null ? `${source.latencyMs}ms` : '-'}</td>
+                                        <td>{source.count ?? '-'}</td>
+                                        <td>{source.stale ? 'stale cache' : source.cached ? 'cached' : 'live'}</td>
+                                        <td>{formatAge(source.fetchedAt)}</td>
+                                        <td className={source.error ? 'highlight-bad' : ''} title={source.error || ''}>
+                                            {source.error ? source.error.slice(0, 80) : '-'}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SourceHealthPanel;
@@ -1,16 +1,25 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { RefreshCw, TrendingUp, Droplets, Activity, ChevronUp, ChevronDown, Search, ExternalLink } from 'lucide-react';
-// Unified data source (supports DefiLlama, GraphQL, and hybrid modes)
-import { fetchPoolData as fetchDataFromSource, getDataSourceMode } from '../lib/data-source';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { RefreshCw, TrendingUp, Droplets, Activity, AlertTriangle } from 'lucide-react';
+// Unified data source (supports DefiLlama, Full Sail SDK, hybrid, direct DEX API and replay modes)
+import { DATA_SOURCE_MODES, DATA_SOURCE_LABELS } from '../lib/data-source';
+import { useDashboardData } from './DashboardDataProvider';
+import { useUrlState } from './useUrlState';
 import PoolEfficiencyAnalysis from './PoolEfficiencyAnalysis';
+import PoolDetailDrawer from './PoolDetailDrawer';
+import PairComparison from './PairComparison';
 import DexHistoricalChart from './DexHistoricalChart';
-
-// DEX Colors (Full Sail Brand)
-const DEX_COLORS = {
-  'Full Sail': '#7D99FD',  // Full Sail Blue
-  'Cetus': '#10b981',      // Emerald
-  'Bluefin': '#3b82f6',    // Blue
-};
+import DexEfficiencyScorecard from './DexEfficiencyScorecard';
+import AnnotationsPanel from './AnnotationsPanel';
+import ReconciliationReport from './ReconciliationReport';
+import SourceHealthPanel from './SourceHealthPanel';
+import ReplayControls from './ReplayControls';
+// DEX names and colours (Full Sail Brand) come from the registry
+import { DEX_NAMES, DEX_COLORS } from '../lib/dex-registry';
+import { listOf } from '../lib/url-state';
+import { isMissingFixtureError } from '../lib/replay';
+
+// Selected DEXs in the URL (registry order)
+const DEXES_CODEC = listOf(DEX_NAMES);
 
 // Format helpers
 const formatNumber = (num) => {
@@ -26,71 +35,14 @@ const formatPercent = (num) => {
   return `${num.toFixed(2)}%`;
 };
 
-// Cetus API (via proxy)
-async function fetchCetusPools() {
-  try {
-    const res = await fetch('/api/cetus/v2/sui/pools_info');
-    const data = await res.json();
-    if (!data.data?.lp_list) return [];
-
-    return data.data.lp_list.slice(0, 25).map(p => ({
-      id: p.address,
-      name: p.symbol || `${p.coin_a_symbol}/${p.coin_b_symbol}`,
-      dex: 'Cetus',
-      tvl: parseFloat(p.tvl_in_usd) || 0,
-      volume_24h: parseFloat(p.vol_in_usd_24h) || 0,
-      apr: parseFloat(p.apr_24h) || 0,
-      fee_rate: parseFloat(p.fee_rate) / 10000 || 0,
-    }));
-  } catch (e) {
-    console.error('Cetus fetch error:', e);
-    return [];
-  }
-}
-
-// Momentum API (via proxy)
-async function fetchMomentumPools() {
-  try {
-    const res = await fetch('/api/momentum/api/v1/pools');
-    const data = await res.json();
-    if (!Array.isArray(data)) return [];
-
-    return data.slice(0, 25).map(p => ({
-      id: p.pool_id || p.address,
-      name: p.name || p.symbol,
-      dex: 'Momentum',
-      tvl: parseFloat(p.tvl) || 0,
-      volume_24h: parseFloat(p.volume_24h) || 0,
-      apr: parseFloat(p.apr) || 0,
-      fee_rate: parseFloat(p.fee) || 0,
-    }));
-  } catch (e) {
-    console.error('Momentum fetch error:', e);
-    return [];
-  }
-}
-
-// Bluefin API (via proxy)
-async function fetchBluefinPools() {
-  try {
-    const res = await fetch('/api/bluefin/pools/info');
-    const data = await res.json();
-    if (!Array.isArray(data)) return [];
-
-    return data.slice(0, 25).map(p => ({
-      id: p.pool_address || p.address,
-      name: p.symbol || p.name,
-      dex: 'Bluefin',
-      tvl: parseFloat(p.tvl) || parseFloat(p.liquidity_usd) || 0,
-      volume_24h: parseFloat(p.volume_24h) || 0,
-      apr: parseFloat(p.apr) || 0,
-      fee_rate: parseFloat(p.fee_rate) || 0,
-    }));
-  } catch (e) {
-    console.error('Bluefin fetch error:', e);
-    return [];
-  }
-}
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m old`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h old`;
+  return `${Math.floor(hours / 24)}d old`;
+};
 
 // Skeleton Component
 const Skeleton = ({ className }) => (
@@ -140,83 +92,43 @@ const StatCard = ({ icon: Icon, label, value, loading, variant = 'cyan' }) => (
 );
 
 export default function SuiDexDashboard() {
-  const [pools, setPools] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [selectedDexes, setSelectedDexes] = useState(['Full Sail', 'Cetus', 'Bluefin']);
-  const [sortConfig, setSortConfig] = useState({ key: 'tvl', direction: 'desc' });
-  const [searchTerm, setSearchTerm] = useState('');
-  const [lastUpdated, setLastUpdated] = useState(null);
-  // Summary data for charts (from unified data source)
-  const [graphqlSummary, setGraphqlSummary] = useState(null);
-  const [dataSourceMode, setDataSourceMode] = useState('loading');
-
-  const fetchPoolData = async (forceRefresh = false) => {
-    setLoading(true);
-    setError(null);
-
-    try {
-      // Fetch from unified data source (DefiLlama, GraphQL, or hybrid)
-      console.log('Fetching from unified data source...');
-
-      const data = await fetchDataFromSource({ forceRefresh });
-      console.log(`Loaded ${data.pools.length} pools via ${data.mode} mode`);
-
-      // Update data source mode for footer display
-      setDataSourceMode(data.mode);
-
-      setGraphqlSummary({
-        totalTVL: data.summary?.totalTVL || 0,
-        totalVolume: data.summary?.totalVolume24h || 0,
-        dexData: Object.fromEntries(
-          Object.entries(data.dexStats || {}).map(([dex, stats]) => [
-            dex, {
-              tvl: stats.totalTVL,
-              volume_24h: stats.volume24h,
-              volume_7d: stats.volume7d,
-              volume_30d: stats.volume30d,
-              fees_24h: stats.fees24h,
-              fees_7d: stats.fees7d,
-              fees_30d: stats.fees30d,
-            }
-          ])
-        ),
-      });
-
-      setPools(data.pools);
-      setLastUpdated(data.lastUpdated ? new Date(data.lastUpdated) : new Date());
-    } catch (e) {
-      console.error('Error loading DEX data:', e);
-      setError('Failed to fetch data. Check console for details.');
-    } finally {
-      setLoading(false);
-    }
-  };
-
+  // Shared data store (pools, history, loading/error, lastUpdated)
+  const {
+    mode: selectedMode,
+    changeMode,
+    poolData,
+    pools,
+    loading: loadingState,
+    errors,
+    lastUpdated,
+    failedSlices,
+    refreshing,
+    refresh,
+  } = useDashboardData();
+  const loading = loadingState.pools;
+  const error = errors.pools;
+  // DEX pills and the open pool are kept in the URL (shareable links, back / forward)
+  const [selectedDexes, setSelectedDexes] = useUrlState('dexes', DEX_NAMES, { codec: DEXES_CODEC });
+  // Pool shown in the detail drawer (by id, so it follows refreshes)
+  const [selectedPoolId, setSelectedPoolId] = useUrlState('pool', null);
+  const selectedPool = useMemo(() => pools.find(p => p.id === selectedPoolId) || null, [pools, selectedPoolId]);
+  const closePoolDetail = useCallback(() => setSelectedPoolId(null), []);
+  const dataSourceMode = poolData?.mode || 'loading';
+  // Cache state: when the shown data was fetched and whether a background refresh is pending
+  const fetchedAt = poolData?.fetchedAt ? new Date(poolData.fetchedAt) : null;
+  const stale = !!poolData?.stale;
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the data-age label current
   useEffect(() => {
-    fetchPoolData();
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
   }, []);
 
-  // Filter and sort pools
-  const filteredPools = useMemo(() => {
-    let result = pools.filter(p =>
-      selectedDexes.includes(p.dex) &&
-      (searchTerm === '' || p.name?.toLowerCase().includes(searchTerm.toLowerCase()))
-    );
-
-    result.sort((a, b) => {
-      const aVal = a[sortConfig.key] || 0;
-      const bVal = b[sortConfig.key] || 0;
-      return sortConfig.direction === 'desc' ? bVal - aVal : aVal - bVal;
-    });
-
-    return result;
-  }, [pools, selectedDexes, searchTerm, sortConfig]);
-
   // Calculate stats per DEX
   const dexStats = useMemo(() => {
     const stats = {};
-    Object.keys(DEX_COLORS).forEach(dex => {
+    DEX_NAMES.forEach(dex => {
       const dexPools = pools.filter(p => p.dex === dex);
       stats[dex] = {
         poolCount: dexPools.length,
@@ -231,19 +143,12 @@ export default function SuiDexDashboard() {
     return stats;
   }, [pools]);
 
-  // Use GraphQL data for totals
+  // Use data source summary for totals
   const totalStats = useMemo(() => ({
-    tvl: graphqlSummary?.totalTVL || Object.values(dexStats).reduce((sum, s) => sum + s.totalTVL, 0),
-    volume: graphqlSummary?.totalVolume || Object.values(dexStats).reduce((sum, s) => sum + s.totalVolume, 0),
+    tvl: poolData?.summary?.totalTVL || Object.values(dexStats).reduce((sum, s) => sum + s.totalTVL, 0),
+    volume: poolData?.summary?.totalVolume24h || Object.values(dexStats).reduce((sum, s) => sum + s.totalVolume, 0),
     pools: Object.values(dexStats).reduce((sum, s) => sum + s.poolCount, 0),
-  }), [dexStats, graphqlSummary]);
-
-  const handleSort = (key) => {
-    setSortConfig(prev => ({
-      key,
-      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
-    }));
-  };
+  }), [dexStats, poolData]);
 
   const toggleDex = (dex) => {
     setSelectedDexes(prev =>
@@ -253,11 +158,6 @@ export default function SuiDexDashboard() {
     );
   };
 
-  const SortIcon = ({ columnKey }) => {
-    if (sortConfig.key !== columnKey) return null;
-    return sortConfig.direction === 'desc' ? <ChevronDown size={14} /> : <ChevronUp size={14} />;
-  };
-
   return (
     <div className="min-h-screen animated-bg text-white p-6 lg:p-8">
       {/* Header */}
@@ -271,26 +171,75 @@ export default function SuiDexDashboard() {
           </p>
         </div>
         <div className="flex items-center gap-4">
-          {lastUpdated && (
+          {/* Data Source Mode Selector */}
+          <div className="flex gap-1 bg-slate-800/50 rounded-lg p-1">
+            {Object.values(DATA_SOURCE_MODES).map(mode => (
+              <button
+                key={mode}
+                onClick={() => changeMode(mode)}
+                disabled={refreshing}
+                title={DATA_SOURCE_LABELS[mode]}
+                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all disabled:cursor-not-allowed ${selectedMode === mode
+                  ? 'bg-[#7D99FD]/20 text-[#7D99FD]'
+                  : 'text-slate-400 hover:text-white'
+                  }`}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+          {(lastUpdated || failedSlices.length > 0) && (
             <span className="text-slate-500 text-sm">
-              Updated {lastUpdated.toLocaleTimeString()}
+              {lastUpdated ? `Updated ${lastUpdated.toLocaleTimeString()}` : 'Not updated'}
+              {fetchedAt && (
+                <span title={`Fetched ${fetchedAt.toLocaleString()}`}>
+                  {' '}• data {formatAge(now - fetchedAt.getTime())}
+                  {stale && <span className="text-amber-400"> • refreshing…</span>}
+                </span>
+              )}
+              {failedSlices.length > 0 && (
+                <span className="text-amber-400" title={`Failed to load: ${failedSlices.join(', ')}`}>
+                  {' '}• partial: {failedSlices.length} {failedSlices.length === 1 ? 'panel' : 'panels'} failed
+                </span>
+              )}
             </span>
           )}
           <button
-            onClick={() => fetchPoolData(true)}
-            disabled={loading}
+            onClick={refresh}
+            disabled={refreshing}
             className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-[#7D99FD] to-blue-600 hover:from-[#9DB5FF] hover:to-blue-500 rounded-xl font-medium transition-all duration-300 shadow-lg shadow-[#7D99FD]/20 hover:shadow-[#7D99FD]/40 disabled:opacity-50"
           >
-            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+            <RefreshCw size={16} className={refreshing ? 'animate-spin' : ''} />
             Refresh
           </button>
         </div>
       </div>
 
+      {/* Fixture recording / offline replay */}
+      <ReplayControls />
+
+      {/* Load error: the primary source failed and nothing is cached (ReplayControls explains a missing fixture) */}
+      {error && !isMissingFixtureError(error) && (
+        <div className="flex items-start gap-3 mb-6 p-4 rounded-xl border border-red-500/30 bg-red-500/10 text-red-300">
+          <AlertTriangle size={18} className="mt-0.5 shrink-0" />
+          <div className="text-sm">
+            <p className="font-medium">Failed to load pool data{pools.length > 0 ? ' — showing the last loaded data' : ''}</p>
+            <p className="text-red-300/80 mt-1">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <SourceHealthPanel />
+
       {/* Total Stats */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
-        <StatCard icon={Droplets} label="Total TVL" value={formatNumber(totalStats.tvl)} loading={loading} variant="cyan" />
-        <StatCard icon={TrendingUp} label="Total Pools" value={totalStats.pools.toString()} loading={loading} variant="purple" />
+        <StatCard icon={Droplets} label="Total TVL" value={poolData ? formatNumber(totalStats.tvl) : '—'} loading={loading} variant="cyan" />
+        <StatCard icon={TrendingUp} label="Total Pools" value={poolData ? totalStats.pools.toString() : '—'} loading={loading} variant="purple" />
+      </div>
+
+      {/* DEX Capital Efficiency Scorecard */}
+      <div className="mb-8">
+        <DexEfficiencyScorecard />
       </div>
 
       {/* Historical DEX Comparison Chart */}
@@ -298,9 +247,14 @@ export default function SuiDexDashboard() {
         <DexHistoricalChart />
       </div>
 
+      {/* Event Annotations */}
+      <div className="mb-8">
+        <AnnotationsPanel />
+      </div>
+
       {/* DEX Filter Pills */}
       <div className="flex flex-wrap gap-2 mb-6">
-        {Object.keys(DEX_COLORS).map(dex => (
+        {DEX_NAMES.map(dex => (
           <button
             key={dex}
             onClick={() => toggleDex(dex)}
@@ -357,11 +311,20 @@ export default function SuiDexDashboard() {
         ))}
       </div>
       {/* Pool-Level Efficiency Analysis - Single consolidated table per spec */}
-      <PoolEfficiencyAnalysis />
+      <PoolEfficiencyAnalysis onSelectPool={setSelectedPoolId} />
+
+      {/* Same pair across DEXs and fee tiers (best venue per metric, Full Sail gap) */}
+      <PairComparison onSelectPool={setSelectedPoolId} />
+
+      {/* Pool detail drawer (history, tokens, links) */}
+      {selectedPool && <PoolDetailDrawer pool={selectedPool} onClose={closePoolDetail} />}
+
+      {/* Cross-source reconciliation (DefiLlama vs native DEX APIs) */}
+      <ReconciliationReport />
 
       {/* Footer */}
       <div className="mt-8 text-center text-slate-500 text-sm">
-        Powered by <span className="text-[#7D99FD] font-medium">Full Sail</span> • Data via DefiLlama
+        Powered by <span className="text-[#7D99FD] font-medium">Full Sail</span> • Data via {DATA_SOURCE_LABELS[dataSourceMode] || dataSourceMode}
       </div>
     </div>
   );
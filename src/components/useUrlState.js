@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getUrlParams, subscribeUrl, setUrlParams, URL_CODECS } from '../lib/url-state';
+
+const serializeValue = (codec, value) => (value === null || value === undefined ? null : codec.serialize(value));
+
+/**
+ * useState backed by a URL query parameter
+ * The URL is the source of truth: setting the value updates the query string,
+ * and back / forward update the value. The default is kept out of the URL.
+ * @param {string} param - Query parameter name
+ * @param {*} defaultValue - Value when the parameter is missing or invalid
+ * @param {Object} options - { codec: see URL_CODECS (default string), replace: no new history entry (e.g. typing) }
+ * @returns {Array} [value, setValue] (setValue accepts a value or an updater)
+ */
+export function useUrlState(param, defaultValue, options = {}) {
+    const { codec = URL_CODECS.string, replace = false } = options;
+
+    const read = () => {
+        const raw = getUrlParams().get(param);
+        const value = raw === null ? undefined : codec.parse(raw);
+        return { raw, value: value === undefined ? defaultValue : value };
+    };
+
+    const [state, setState] = useState(read);
+    const latest = useRef(state);
+    latest.current = state;
+
+    // Only re-read when this parameter changed, so parsed objects keep their identity
+    useEffect(() => subscribeUrl(() => {
+        const next = read();
+        if (next.raw !== latest.current.raw) setState(next);
+    }), [param]);
+
+    const setValue = useCallback((next) => {
+        const value = typeof next === 'function' ? next(read().value) : next;
+        const serialized = serializeValue(codec, value);
+        setUrlParams(
+            { [param]: serialized === serializeValue(codec, defaultValue) ? null : serialized },
+            { replace }
+        );
+    }, [param, replace]);
+
+    return [state.value, setValue];
+}
+
+export default useUrlState;
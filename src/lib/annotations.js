@@ -0,0 +1,181 @@
+/**
+ * Event annotations
+ * User-editable events (incentive epochs, pool launches, listings) drawn as
+ * vertical markers on the history charts. Stored in localStorage and
+ * importable / exportable as JSON. An event can be tagged to a DEX or a pool;
+ * untagged events show on every chart.
+ *
+ * Event: { id, date: 'YYYY-MM-DD', label, note, dex: name | null, poolId: id | null, poolName }
+ */
+
+const STORAGE_KEY = 'sui-dex-dashboard:annotations';
+const EXPORT_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let events = null;
+const listeners = new Set();
+
+function getStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Normalize one event, or null when it has no valid date / label
+ */
+function normalizeEvent(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const date = typeof raw.date === 'string' ? raw.date.slice(0, 10) : '';
+    const label = typeof raw.label === 'string' ? raw.label.trim() : '';
+    if (!DATE_PATTERN.test(date) || !label) return null;
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `evt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        date,
+        label,
+        note: typeof raw.note === 'string' ? raw.note : '',
+        dex: typeof raw.dex === 'string' && raw.dex ? raw.dex : null,
+        poolId: typeof raw.poolId === 'string' && raw.poolId ? raw.poolId : null,
+        poolName: typeof raw.poolName === 'string' ? raw.poolName : null,
+    };
+}
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.label.localeCompare(b.label);
+
+function load() {
+    if (events) return events;
+    events = [];
+    try {
+        const stored = JSON.parse(getStorage()?.getItem(STORAGE_KEY) || '[]');
+        if (Array.isArray(stored)) events = stored.map(normalizeEvent).filter(Boolean).sort(byDate);
+    } catch (e) {
+        console.warn('[Annotations] Stored events unreadable, starting empty:', e.message);
+    }
+    return events;
+}
+
+function commit(next) {
+    events = [...next].sort(byDate);
+    try {
+        getStorage()?.setItem(STORAGE_KEY, JSON.stringify(events));
+    } catch (e) {
+        console.warn('[Annotations] Could not persist events:', e.message);
+    }
+    for (const listener of listeners) listener(events);
+}
+
+/**
+ * All events, sorted by date
+ * @returns {Array} Events
+ */
+export function getAnnotations() {
+    return load();
+}
+
+/**
+ * Subscribe to event list changes
+ * @param {Function} listener - Called with the new event list
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeAnnotations(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Add an event, or update the event with the same id
+ * @param {Object} event - { id?, date, label, note?, dex?, poolId?, poolName? }
+ * @returns {Object} Saved event
+ * @throws {Error} When the date or label is missing / invalid
+ */
+export function saveAnnotation(event) {
+    const normalized = normalizeEvent(event);
+    if (!normalized) throw new Error('An event needs a date (YYYY-MM-DD) and a label');
+    commit([...load().filter(e => e.id !== normalized.id), normalized]);
+    return normalized;
+}
+
+/**
+ * Remove an event by id
+ */
+export function removeAnnotation(id) {
+    commit(load().filter(e => e.id !== id));
+}
+
+/**
+ * Export payload for the current events
+ * @returns {Object} { version, exportedAt, events }
+ */
+export function exportAnnotations() {
+    return { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), events: load() };
+}
+
+/**
+ * Import events from an export payload (or a bare event array)
+ * Events with an existing id replace it; invalid entries are skipped.
+ * @param {Object|Array} payload - Parsed JSON
+ * @param {Object} options - { replace: drop current events first }
+ * @returns {Object} { imported, skipped }
+ * @throws {Error} When the payload is not an event list
+ */
+export function importAnnotations(payload, options = {}) {
+    const list = Array.isArray(payload) ? payload : payload?.events;
+    if (!Array.isArray(list)) throw new Error('Expected an annotations export ({ events: [...] }) or an array of events');
+    if (!Array.isArray(payload) && payload.version > EXPORT_VERSION) {
+        throw new Error(`Unsupported annotations version ${payload.version}`);
+    }
+
+    const incoming = list.map(normalizeEvent).filter(Boolean);
+    const ids = new Set(incoming.map(e => e.id));
+    const kept = options.replace ? [] : load().filter(e => !ids.has(e.id));
+    commit([...kept, ...incoming]);
+    return { imported: incoming.length, skipped: list.length - incoming.length };
+}
+
+/**
+ * Events for a chart scope
+ * @param {Array} list - Events
+ * @param {Object} scope - { dexes: names shown on the chart } or { poolId }
+ * @returns {Array} Untagged events plus those tagged to the scope
+ */
+export function annotationsFor(list, scope = {}) {
+    return list.filter(event => {
+        if (event.poolId) return scope.poolId === event.poolId;
+        if (event.dex) return scope.poolId ? scope.dex === event.dex : (scope.dexes || []).includes(event.dex);
+        return true;
+    });
+}
+
+/**
+ * Place events on chart rows (the row whose period contains the event date)
+ * Events sharing a row are grouped into one marker.
+ * @param {Array} list - Events
+ * @param {Array} rows - Chart rows sorted by date ({ date, [xKey] })
+ * @param {string} xKey - Row field used as the X axis value
+ * @returns {Array} [{ x, date, events }]
+ */
+export function placeAnnotations(list, rows, xKey = 'date') {
+    if (!rows.length) return [];
+    const days = rows.map(row => row.date.slice(0, 10));
+    const markers = new Map();
+
+    for (const event of list) {
+        if (event.date < days[0]) continue;
+        // Last row starting on or before the event date
+        let i = days.length - 1;
+        while (i > 0 && days[i] > event.date) i--;
+        // Past the last row's period (daily rows: the day itself)
+        if (i === days.length - 1 && days.length > 1) {
+            const step = Date.parse(days[i]) - Date.parse(days[i - 1]);
+            if (Date.parse(event.date) >= Date.parse(days[i]) + step) continue;
+        }
+
+        const x = rows[i][xKey];
+        if (!markers.has(x)) markers.set(x, { x, date: days[i], events: [] });
+        markers.get(x).events.push(event);
+    }
+    return [...markers.values()];
+}
@@ -0,0 +1,84 @@
+/**
+ * Aggregation API client
+ * When VITE_API_BASE_URL is set (production builds), pool rows and DEX
+ * history come from the aggregation server (server/index.js) instead of the
+ * upstream APIs, which need the Vite dev proxies.
+ */
+
+import { fetchJson } from './http-client.js';
+import { trackSource, recordSourceHealth, withoutData, SOURCE_STATUS } from './source-health.js';
+import { getNativeApiDexes } from './dex-registry.js';
+
+const API_BASE_URL = (import.meta.env?.VITE_API_BASE_URL || '').replace(/\/+$/, '');
+
+// Pool sources served by /api/pools
+const POOL_SOURCES = ['DefiLlama', ...getNativeApiDexes().map(dex => dex.name)];
+
+/**
+ * Whether the frontend is pointed at an aggregation server
+ */
+export function isApiServerEnabled() {
+    return API_BASE_URL !== '';
+}
+
+/**
+ * Fetch every pool source from /api/pools
+ * Each upstream keeps its own health entry (labelled "via API"); when the
+ * server itself is unreachable every source reports its error.
+ * @returns {Promise<Object>} Source results keyed by source ({ DefiLlama, Cetus, ... })
+ */
+export async function fetchServerPoolResults() {
+    const response = await trackSource(
+        'api:pools',
+        'Aggregation API /api/pools',
+        () => fetchJson(`${API_BASE_URL}/api/pools`),
+        json => Object.keys(json.sources || {}).length
+    );
+
+    return Object.fromEntries(POOL_SOURCES.map(name => {
+        const source = response.data?.sources?.[name];
+        if (!source) {
+            return [name, {
+                id: `api:${name}`,
+                label: name,
+                data: null,
+                status: SOURCE_STATUS.ERROR,
+                latencyMs: null,
+                error: response.error || `${name} missing from /api/pools`,
+                cached: false,
+                stale: false,
+                fetchedAt: null,
+            }];
+        }
+
+        const label = `${source.label} (via API)`;
+        recordSourceHealth(source.id, { ...withoutData(source), label, count: source.data?.length ?? null });
+        return [name, { ...source, label }];
+    }));
+}
+
+/**
+ * Fetch fees / volume / TVL series from /api/history
+ * @param {number} days - Number of days
+ * @returns {Promise<object>} { fees, volume, tvl, failures: [{ series, error }] }
+ */
+export async function fetchServerHistory(days) {
+    const metrics = ['fees', 'volume', 'tvl'];
+    const results = await Promise.all(metrics.map(metric => trackSource(
+        `api:history:${metric}`,
+        `Aggregation API /api/history (${metric})`,
+        () => fetchJson(`${API_BASE_URL}/api/history?metric=${metric}&days=${days}`),
+        json => json.daily.length
+    )));
+
+    const history = { failures: [] };
+    results.forEach((result, i) => {
+        const series = metrics[i];
+        history[series] = result.data?.daily || [];
+        const error = result.error || result.data?.error;
+        if (error) history.failures.push({ series, error });
+        // The server answered but its upstream series failed
+        if (!result.error && error) recordSourceHealth(result.id, { status: SOURCE_STATUS.ERROR, error });
+    });
+    return history;
+}
@@ -0,0 +1,133 @@
+/**
+ * Chart series transforms
+ * Pure helpers for the historical chart: date windows, daily → weekly /
+ * monthly resampling, trailing moving averages and period-over-period
+ * values. Rows are { date: 'YYYY-MM-DD[THH:mm]', [series]: value }.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resampling resolutions ('day' keeps the source points as they are)
+export const RESOLUTIONS = [
+    { key: 'day', label: 'Daily' },
+    { key: 'week', label: 'Weekly' },
+    { key: 'month', label: 'Monthly' },
+];
+
+// Moving-average overlays (days)
+export const MOVING_AVERAGES = [7, 30];
+
+// Extra days fetched before the window so moving averages start warmed up
+export const MA_WARMUP_DAYS = Math.max(...MOVING_AVERAGES);
+
+// Series key of a moving-average overlay
+export const maKey = (key, days) => `${key} (${days}d MA)`;
+
+const toTime = (date) => Date.parse(`${date.slice(0, 10)}T00:00:00Z`);
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Add days to a 'YYYY-MM-DD' date
+ */
+export function addDays(date, days) {
+    return toDate(toTime(date) + days * DAY_MS);
+}
+
+/**
+ * Whole days from a 'YYYY-MM-DD' date until `now` (inclusive of both days)
+ */
+export function daysSince(date, now = Date.now()) {
+    return Math.max(1, Math.floor((now - toTime(date)) / DAY_MS) + 1);
+}
+
+/**
+ * Rows whose day falls inside [start, end] (either bound may be null)
+ */
+export function filterRange(rows, { start, end } = {}) {
+    return rows.filter(row => {
+        const day = row.date.slice(0, 10);
+        return (!start || day >= start) && (!end || day <= end);
+    });
+}
+
+/**
+ * First day of the week (Monday) or month a date belongs to
+ */
+function bucketStart(date, resolution) {
+    if (resolution === 'month') return `${date.slice(0, 7)}-01`;
+    const time = toTime(date);
+    const weekday = (new Date(time).getUTCDay() + 6) % 7; // Monday = 0
+    return toDate(time - weekday * DAY_MS);
+}
+
+/**
+ * Resample rows to weekly / monthly buckets
+ * @param {Array} rows - Rows sorted by date
+ * @param {Array} keys - Series to aggregate
+ * @param {string} resolution - 'day' | 'week' | 'month'
+ * @param {string} aggregate - 'sum' for flows (fees, volume), 'mean' for levels (TVL, ratios)
+ * @returns {Array} Rows keyed by bucket start date, with `points` per bucket
+ */
+export function resample(rows, keys, resolution, aggregate = 'sum') {
+    if (resolution === 'day') return rows;
+
+    const buckets = new Map();
+    for (const row of rows) {
+        const date = bucketStart(row.date, resolution);
+        if (!buckets.has(date)) buckets.set(date, { date, points: 0, sums: {}, counts: {} });
+        const bucket = buckets.get(date);
+        bucket.points++;
+        for (const key of keys) {
+            if (typeof row[key] !== 'number') continue;
+            bucket.sums[key] = (bucket.sums[key] || 0) + row[key];
+            bucket.counts[key] = (bucket.counts[key] || 0) + 1;
+        }
+    }
+
+    return [...buckets.values()].map(({ date, points, sums, counts }) => {
+        const row = { date, points };
+        for (const key of Object.keys(sums)) {
+            row[key] = aggregate === 'mean' ? sums[key] / counts[key] : sums[key];
+        }
+        return row;
+    });
+}
+
+/**
+ * Add trailing moving averages (by calendar days) for each series
+ * @param {Array} rows - Rows sorted by date
+ * @param {Array} keys - Series to average
+ * @param {Array} windows - Window lengths in days (e.g. [7, 30])
+ * @returns {Array} Rows with maKey(key, days) fields (null until a full window is available)
+ */
+export function withMovingAverages(rows, keys, windows) {
+    if (!windows.length || !rows.length) return rows;
+    const times = rows.map(row => toTime(row.date));
+    const firstTime = times[0];
+
+    return rows.map((row, i) => {
+        const next = { ...row };
+        for (const days of windows) {
+            const from = times[i] - (days - 1) * DAY_MS;
+            const warm = from >= firstTime;
+            let j = i;
+            while (j > 0 && times[j - 1] >= from) j--;
+            const window = rows.slice(j, i + 1);
+
+            for (const key of keys) {
+                const values = window.map(r => r[key]).filter(v => typeof v === 'number');
+                next[maKey(key, days)] = warm && values.length
+                    ? values.reduce((sum, v) => sum + v, 0) / values.length
+                    : null;
+            }
+        }
+        return next;
+    });
+}
+
+/**
+ * Attach the previous row's values (row.previous) for period-over-period tooltips
+ */
+export function withPreviousValues(rows) {
+    return rows.map((row, i) => ({ ...row, previous: i > 0 ? rows[i - 1] : null }));
+}
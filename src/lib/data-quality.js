@@ -0,0 +1,84 @@
+/**
+ * Data quality - per-pool sanity rules
+ * Flags rows whose numbers are internally inconsistent (yield on an empty
+ * pool, volume far above TVL, negative values) so they can be shown with a
+ * warning instead of being trusted at face value.
+ */
+
+// Daily volume above this multiple of TVL is treated as suspect
+export const VOLUME_TVL_MAX = 20;
+
+// APR (%) above this is treated as suspect
+export const APR_MAX = 10000;
+
+const NUMERIC_FIELDS = ['tvl', 'volume_24h', 'volume_7d', 'volume_30d', 'fees_24h', 'fees_7d', 'fees_30d', 'apr'];
+
+// Quality rules: test(pool) returns true when the row is suspect
+export const QUALITY_RULES = [
+    {
+        key: 'apr-no-tvl',
+        label: 'APR with zero TVL',
+        test: (pool) => pool.apr > 0 && !(pool.tvl > 0),
+    },
+    {
+        key: 'volume-over-tvl',
+        label: `24h volume > ${VOLUME_TVL_MAX}× TVL`,
+        test: (pool) => pool.tvl > 0 && pool.volume_24h > pool.tvl * VOLUME_TVL_MAX,
+    },
+    {
+        key: 'fees-over-volume',
+        label: 'Fees exceed volume',
+        test: (pool) => pool.volume_24h > 0 && pool.fees_24h > pool.volume_24h,
+    },
+    {
+        key: 'apr-extreme',
+        label: `APR > ${APR_MAX.toLocaleString()}%`,
+        test: (pool) => pool.apr > APR_MAX,
+    },
+    {
+        key: 'negative-values',
+        label: 'Negative values',
+        test: (pool) => NUMERIC_FIELDS.some(field => pool[field] < 0),
+    },
+];
+
+/**
+ * Attach quality_flags (rule keys) to each pool
+ * @param {Array} pools - Normalized pools
+ * @returns {Array} Pools with quality_flags
+ */
+export function applyQualityFlags(pools) {
+    return pools.map(pool => ({
+        ...pool,
+        quality_flags: QUALITY_RULES.filter(rule => rule.test(pool)).map(rule => rule.key),
+    }));
+}
+
+/**
+ * Count flagged pools per rule
+ * @param {Array} pools - Pools with quality_flags
+ * @returns {Object} { flagged, byRule: [{ key, label, count }] }
+ */
+export function summarizeQuality(pools) {
+    const byRule = QUALITY_RULES
+        .map(({ key, label }) => ({
+            key,
+            label,
+            count: pools.filter(p => p.quality_flags?.includes(key)).length,
+        }))
+        .filter(rule => rule.count > 0);
+
+    return {
+        flagged: pools.filter(p => p.quality_flags?.length > 0).length,
+        byRule,
+    };
+}
+
+/**
+ * Display labels for a pool's flags
+ * @param {Array} flags - Rule keys
+ * @returns {Array} Labels
+ */
+export function describeQualityFlags(flags = []) {
+    return flags.map(key => QUALITY_RULES.find(rule => rule.key === key)?.label || key);
+}
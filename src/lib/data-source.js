@@ -1,13 +1,85 @@
 /**
- * Data Source - DefiLlama Integration
- * Fetches pool data from DefiLlama yields API
+ * Data Source - DefiLlama / Full Sail SDK / Native DEX API Integration
+ * Fetches pool data from DefiLlama yields API, the Full Sail SDK, both (hybrid),
+ * or each DEX's own API (direct)
  */
 
-import { fetchSuiPools } from './fetch-defillama.js';
+import { fetchSuiPoolsResult } from './fetch-defillama.js';
+import { fetchAllDexPoolResults } from './dex-apis.js';
+import { SDK_DEX } from './dex-registry.js';
+import { isApiServerEnabled, fetchServerPoolResults } from './api-server.js';
+import { buildFeeTierIndex, applyFeeTiers, needsFeeTierIndex } from './fee-tiers.js';
+import { applyRollingWindows } from './pool-history.js';
+import { poolPair } from './pool-pairs.js';
+import { saveSnapshot } from './snapshot-store.js';
+import { applyQualityFlags, summarizeQuality } from './data-quality.js';
+import { getValidationReport } from './schema.js';
+import { swr, subscribeCache, clearPersistentCache } from './persistent-cache.js';
+import { trackSource, recordSourceHealth, withoutData, SOURCE_STATUS } from './source-health.js';
+import { createFullSailSDK, fetchFullSailPools } from './fullsail-sdk.js';
+import {
+    setReplayActive,
+    isReplayActive,
+    getReplayBundle,
+    getReplayResponse,
+    recordResponse,
+    describeBundle,
+    REPLAY_KEYS,
+} from './replay.js';
+import FULLSAIL_POOLS from '../data/fullsail-pools.json';
 
-// Cache configuration
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const cache = { data: null, timestamp: 0 };
+// Supported data source modes
+export const DATA_SOURCE_MODES = {
+    DEFILLAMA: 'DefiLlama',
+    SDK: 'SDK',
+    HYBRID: 'Hybrid',
+    DIRECT: 'Direct',
+    REPLAY: 'Replay',
+};
+
+// Display labels for the mode selector / footer
+export const DATA_SOURCE_LABELS = {
+    DefiLlama: 'DefiLlama',
+    SDK: 'Full Sail SDK',
+    Hybrid: 'DefiLlama + Full Sail SDK',
+    Direct: 'Native DEX APIs',
+    Replay: 'Recorded fixture (offline)',
+};
+
+const MODE_STORAGE_KEY = 'sui-dex-dashboard:data-source-mode';
+
+// Persistent cache key prefix (one entry per mode, TTL from CACHE_TTLS['pool-data'])
+const POOL_DATA_CACHE_PREFIX = 'pool-data:';
+
+// Persistent cache key of the fee tier index (TTL from CACHE_TTLS['fee-tiers'])
+const FEE_TIER_INDEX_KEY = 'fee-tier-index';
+
+let currentMode = loadStoredMode();
+let sdkPromise = null;
+setReplayActive(currentMode === DATA_SOURCE_MODES.REPLAY);
+
+function loadStoredMode() {
+    try {
+        const stored = globalThis.localStorage?.getItem(MODE_STORAGE_KEY);
+        if (Object.values(DATA_SOURCE_MODES).includes(stored)) return stored;
+    } catch {
+        // localStorage unavailable (SSR / privacy mode)
+    }
+    return DATA_SOURCE_MODES.DEFILLAMA;
+}
+
+/**
+ * Lazily create a shared Full Sail SDK instance
+ */
+function getFullSailSDK() {
+    if (!sdkPromise) {
+        sdkPromise = createFullSailSDK().catch(e => {
+            sdkPromise = null;
+            throw e;
+        });
+    }
+    return sdkPromise;
+}
 
 /**
  * Normalize pool data to standard schema
@@ -19,19 +91,218 @@ function normalizePool(pool) {
         dex: pool.dex,
         tvl: pool.tvl || 0,
         volume_24h: pool.volume_24h || 0,
-        volume_7d: pool.volume_7d || 0,
-        volume_30d: pool.volume_30d || 0,
+        // 7d / 30d windows stay null when the source has none (see pool-history.js)
+        volume_7d: pool.volume_7d ?? null,
+        volume_30d: pool.volume_30d ?? null,
         fees_24h: pool.fees_24h || 0,
-        fees_7d: pool.fees_7d || 0,
-        fees_30d: pool.fees_30d || 0,
-        feeRate: pool.fee_vol_ratio || 0.003,
+        fees_7d: pool.fees_7d ?? null,
+        fees_30d: pool.fees_30d ?? null,
+        fee_rate: pool.fee_rate || null,
+        fee_rate_source: pool.fee_rate_source || null,
+        fee_source: pool.fee_source || null,
         apr: pool.apr || pool.apy || 0,
         apyBase: pool.apyBase || 0,
         apyReward: pool.apyReward || 0,
         stablecoin: pool.stablecoin || false,
+        // Full Sail SDK / chain fields (only present in SDK and hybrid modes)
+        address: pool.address || null,
+        gauge_id: pool.gauge_id || null,
+        current_price: pool.current_price || null,
+        liquidity: pool.liquidity || null,
+        emissions: pool.emissions || [],
+        sources: pool.sources || [],
+        quality_flags: pool.quality_flags || [],
     };
 }
 
+/**
+ * Fetch Full Sail pools through the SDK (or the fixture bundle when replaying)
+ * @returns {Promise<Object>} { pools, errors }
+ */
+async function loadSdkPools() {
+    if (isReplayActive()) return getReplayResponse(REPLAY_KEYS.SDK_POOLS);
+
+    const sdk = await getFullSailSDK();
+    const result = await fetchFullSailPools(sdk, FULLSAIL_POOLS.map(p => p.address));
+    recordResponse(REPLAY_KEYS.SDK_POOLS, result);
+    return result;
+}
+
+/**
+ * Fetch Full Sail pools through the SDK as raw pool rows
+ * @returns {Promise<Object>} Source result; data = pool rows or null
+ */
+async function fetchSdkPools() {
+    const result = await trackSource('fullsail-sdk', 'Full Sail SDK', async () => {
+        const { pools, errors } = await loadSdkPools();
+
+        for (const { id, error } of errors) {
+            console.warn(`[DataSource] SDK pool ${id} failed:`, error);
+        }
+        if (pools.length === 0 && errors.length > 0) {
+            throw new Error(`All ${errors.length} SDK pools failed (${errors[0].error})`);
+        }
+
+        return { pools, errors };
+    }, ({ pools }) => pools.length);
+
+    if (result.data?.errors.length) {
+        // Some pools failed: usable, but flag it
+        const partial = {
+            status: SOURCE_STATUS.PARTIAL,
+            error: `${result.data.errors.length} of ${FULLSAIL_POOLS.length} pools failed`,
+        };
+        recordSourceHealth(result.id, partial);
+        Object.assign(result, partial);
+    }
+
+    const pools = result.data?.pools.map(pool => ({ ...pool, address: pool.id, sources: ['SDK'] })) || null;
+    return { ...result, data: pools };
+}
+
+/**
+ * Overlay SDK/chain fields onto DefiLlama Full Sail rows.
+ * DefiLlama metrics are kept; SDK values only fill gaps. SDK pools that
+ * DefiLlama does not list are appended.
+ */
+function mergeHybridPools(llamaPools, sdkPools) {
+    const sdkByKey = new Map();
+    for (const pool of sdkPools) {
+        sdkByKey.set(pool.id, pool);
+        sdkByKey.set(poolPair(pool).key, pool);
+    }
+
+    const matched = new Set();
+
+    const merged = llamaPools.map(pool => {
+        if (pool.dex !== SDK_DEX) return { ...pool, sources: ['DefiLlama'] };
+
+        const sdkPool = sdkByKey.get(pool.id) || sdkByKey.get(poolPair(pool).key);
+        if (!sdkPool || matched.has(sdkPool.id)) return { ...pool, sources: ['DefiLlama'] };
+        matched.add(sdkPool.id);
+
+        return {
+            ...pool,
+            address: sdkPool.id,
+            gauge_id: sdkPool.gauge_id,
+            current_price: sdkPool.current_price,
+            liquidity: sdkPool.liquidity,
+            emissions: sdkPool.emissions,
+            tvl: pool.tvl || sdkPool.tvl,
+            volume_24h: pool.volume_24h || sdkPool.volume_24h,
+            volume_7d: pool.volume_7d || sdkPool.volume_7d,
+            volume_30d: pool.volume_30d || sdkPool.volume_30d,
+            apyReward: pool.apyReward || sdkPool.apyReward,
+            fee_rate: sdkPool.fee_rate,
+            sources: ['DefiLlama', 'SDK'],
+        };
+    });
+
+    const unmatched = sdkPools.filter(p => !matched.has(p.id));
+    return [...merged, ...unmatched];
+}
+
+/**
+ * Summarize source results as { [id]: health } (payload stripped)
+ */
+function summarizeSources(results) {
+    return Object.fromEntries(results.map(r => [r.id, withoutData(r)]));
+}
+
+/**
+ * Throw when a mode's primary source returned nothing, so the UI shows an
+ * error instead of an empty (all-zero) table
+ */
+function requireSource(result, what) {
+    if (result.status === SOURCE_STATUS.ERROR) {
+        throw new Error(`${what} unavailable: ${result.error}`);
+    }
+}
+
+/**
+ * DefiLlama yields rows (from the aggregation server when configured)
+ * @returns {Promise<Object>} Source result
+ */
+async function fetchYieldsSource(forceRefresh) {
+    if (isApiServerEnabled()) return (await fetchServerPoolResults()).DefiLlama;
+    // A pool-data load must not be built from a stale yields payload
+    return fetchSuiPoolsResult({ forceRefresh, allowStale: false });
+}
+
+/**
+ * Native DEX API rows (from the aggregation server when configured)
+ * @returns {Promise<Object>} Source results keyed by DEX name
+ */
+async function fetchDexSources() {
+    if (!isApiServerEnabled()) return fetchAllDexPoolResults();
+    const { DefiLlama, ...dexResults } = await fetchServerPoolResults();
+    return dexResults;
+}
+
+/**
+ * Fee tier index from the native DEX APIs and the Full Sail SDK pool config
+ * Cached for a day (tiers almost never change) and only loaded when some
+ * DefiLlama rows have no poolMeta tier. Failures degrade to an empty index.
+ * @returns {Promise<Object>} Index from buildFeeTierIndex
+ */
+async function loadFeeTierIndex() {
+    try {
+        const entry = await swr(FEE_TIER_INDEX_KEY, 'fee-tiers', async () => {
+            const [dexResults, sdk] = await Promise.all([fetchDexSources(), fetchSdkPools()]);
+            const rows = [...Object.values(dexResults).flatMap(r => r.data || []), ...(sdk.data || [])];
+            if (rows.length === 0) throw new Error('no native DEX or SDK pools available');
+            console.log(`[DataSource] Built fee tier index from ${rows.length} pools`);
+            return buildFeeTierIndex(rows);
+        });
+        return entry.data;
+    } catch (e) {
+        console.warn('[DataSource] Fee tier index unavailable:', e.message);
+        return buildFeeTierIndex([]);
+    }
+}
+
+/**
+ * Fetch raw pool rows for the given mode, with real fee tiers joined on.
+ * DefiLlama rows without a poolMeta fee tier are matched against the cached
+ * fee tier index (loadFeeTierIndex).
+ * @returns {Promise<Object>} { pools, sourceHealth }
+ */
+async function fetchRawPools(mode, forceRefresh = false) {
+    if (mode === DATA_SOURCE_MODES.SDK) {
+        const sdk = await fetchSdkPools();
+        requireSource(sdk, 'Full Sail SDK');
+        return { pools: applyFeeTiers(sdk.data, buildFeeTierIndex([])), sourceHealth: summarizeSources([sdk]) };
+    }
+
+    if (mode === DATA_SOURCE_MODES.DIRECT) {
+        // Full Sail's native API is the SDK; the other DEXs come from their own endpoints
+        const [dexResults, sdk] = await Promise.all([fetchDexSources(), fetchSdkPools()]);
+        const results = [sdk, ...Object.values(dexResults)];
+
+        if (results.every(r => r.status === SOURCE_STATUS.ERROR)) {
+            throw new Error(`All native DEX APIs unavailable: ${results.map(r => `${r.label}: ${r.error}`).join('; ')}`);
+        }
+
+        const dexPools = Object.values(dexResults).flatMap(r => r.data || []);
+        const pools = [...(sdk.data || []), ...dexPools.map(pool => ({ ...pool, sources: [pool.dex] }))];
+        return { pools: applyFeeTiers(pools, buildFeeTierIndex([])), sourceHealth: summarizeSources(results) };
+    }
+
+    if (mode === DATA_SOURCE_MODES.HYBRID) {
+        // The SDK overlay is part of this mode; its failures degrade, not fail
+        const [llama, sdk] = await Promise.all([fetchYieldsSource(forceRefresh), fetchSdkPools()]);
+        requireSource(llama, 'DefiLlama yields');
+        const pools = mergeHybridPools(llama.data, sdk.data || []);
+        const feeTiers = needsFeeTierIndex(pools) ? await loadFeeTierIndex() : buildFeeTierIndex([]);
+        return { pools: applyFeeTiers(pools, feeTiers), sourceHealth: summarizeSources([llama, sdk]) };
+    }
+
+    const llama = await fetchYieldsSource(forceRefresh);
+    requireSource(llama, 'DefiLlama yields');
+    const feeTiers = needsFeeTierIndex(llama.data) ? await loadFeeTierIndex() : buildFeeTierIndex([]);
+    return { pools: applyFeeTiers(llama.data, feeTiers), sourceHealth: summarizeSources([llama]) };
+}
+
 /**
  * Calculate DEX-level statistics from pool data
  */
@@ -58,25 +329,31 @@ function calculateDexStats(pools) {
     return stats;
 }
 
+function poolDataKey(mode, withHistory) {
+    return `${POOL_DATA_CACHE_PREFIX}${mode}${withHistory ? ':history' : ''}`;
+}
+
 /**
- * Fetch pool data from DefiLlama
- * @param {Object} options - Fetch options
- * @param {boolean} options.forceRefresh - Bypass cache
+ * Attach cache metadata to a stored result
  */
-export async function fetchPoolData(options = {}) {
-    const { forceRefresh = false } = options;
+function withCacheInfo(entry) {
+    return { ...entry.data, fetchedAt: new Date(entry.fetchedAt).toISOString(), stale: entry.stale };
+}
 
-    // Check cache
-    if (!forceRefresh && cache.data && (Date.now() - cache.timestamp) < CACHE_TTL_MS) {
-        console.log('[DataSource] Using cached data');
-        return { ...cache.data, mode: 'DefiLlama' };
-    }
+/**
+ * Load pool data for a mode from the network (no cache)
+ */
+async function loadPoolData(mode, forceRefresh) {
+    // Replay runs the pipeline of the mode the fixture was recorded in
+    const bundle = isReplayActive() ? await getReplayBundle() : null;
+    const sourceMode = mode === DATA_SOURCE_MODES.REPLAY ? bundle.mode : mode;
 
-    console.log('[DataSource] Fetching from DefiLlama...');
-    const rawPools = await fetchSuiPools();
-    const pools = rawPools.map(normalizePool);
+    console.log(`[DataSource] Fetching in ${mode} mode${bundle ? ` (recorded ${sourceMode})` : ''}...`);
+    const { pools: rawPools, sourceHealth } = await fetchRawPools(sourceMode, forceRefresh);
+    const pools = applyQualityFlags(rawPools.map(normalizePool));
+    const quality = summarizeQuality(pools);
 
-    console.log(`[DataSource] Loaded ${pools.length} pools`);
+    console.log(`[DataSource] Loaded ${pools.length} pools (${quality.flagged} flagged)`);
 
     const totalTVL = pools.reduce((sum, p) => sum + (p.tvl || 0), 0);
     const totalVolume24h = pools.reduce((sum, p) => sum + (p.volume_24h || 0), 0);
@@ -85,30 +362,105 @@ export async function fetchPoolData(options = {}) {
         pools,
         dexStats: calculateDexStats(pools),
         summary: { totalTVL, totalVolume24h, totalPools: pools.length },
-        lastUpdated: new Date().toISOString(),
-        mode: 'DefiLlama',
+        lastUpdated: new Date(bundle ? bundle.recordedAt : Date.now()).toISOString(),
+        mode,
+        sourceHealth,
+        quality: {
+            ...quality,
+            // Rows dropped / payloads rejected by upstream schema validation
+            schema: getValidationReport().filter(r => r.dropped > 0 || r.rootError),
+        },
     };
 
-    // Cache result
-    cache.data = result;
-    cache.timestamp = Date.now();
+    if (bundle) {
+        // Replayed numbers are not real observations; keep them out of the snapshot history
+        result.replay = describeBundle(bundle);
+        return result;
+    }
+
+    // Persist to the local snapshot history (best-effort, non-blocking)
+    saveSnapshot(result).catch(e => console.warn('[DataSource] Snapshot save failed:', e.message));
 
     return result;
 }
 
+/**
+ * Load pool data with rolling windows applied from pool history
+ */
+async function loadPoolDataWithHistory(mode, forceRefresh) {
+    const base = await fetchPoolData({ forceRefresh, mode, allowStale: false });
+    console.log('[DataSource] Computing rolling windows from pool history...');
+    const pools = await applyRollingWindows(base.pools);
+    const { fetchedAt, stale, ...rest } = base;
+    return { ...rest, pools, dexStats: calculateDexStats(pools), withHistory: true };
+}
+
+/**
+ * Fetch pool data from the selected source.
+ * Served from the persistent cache: a stale result is returned immediately
+ * (stale: true) and refreshed in the background - see subscribePoolData.
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.forceRefresh - Bypass cache
+ * @param {string} options.mode - DefiLlama, SDK, Hybrid, Direct or Replay (defaults to current mode)
+ * @param {boolean} options.withHistory - Replace 7d/30d metrics with trailing aggregates from pool history
+ * @param {boolean} options.allowStale - Return stale cached data while revalidating (default true)
+ * @returns {Promise<Object>} { pools, dexStats, summary, lastUpdated, mode, sourceHealth, quality, fetchedAt, stale }
+ *   plus replay: { recordedAt, mode, responses } in Replay mode
+ * @throws {Error} When the mode's primary source is unavailable and nothing is cached
+ */
+export async function fetchPoolData(options = {}) {
+    const { forceRefresh = false, mode = currentMode, withHistory = false, allowStale = true } = options;
+    const loader = withHistory
+        ? () => loadPoolDataWithHistory(mode, forceRefresh)
+        : () => loadPoolData(mode, forceRefresh);
+
+    const entry = await swr(poolDataKey(mode, withHistory), 'pool-data', loader, { forceRefresh, allowStale });
+    if (entry.stale) console.log(`[DataSource] Serving stale ${mode} data while revalidating`);
+    return withCacheInfo(entry);
+}
+
+/**
+ * Subscribe to background refreshes of a mode's pool data
+ * @param {string} mode - Data source mode
+ * @param {Function} listener - (result) => void, called with the fresh fetchPoolData result
+ * @param {Object} options - { withHistory }
+ * @returns {Function} Unsubscribe
+ */
+export function subscribePoolData(mode, listener, options = {}) {
+    return subscribeCache(poolDataKey(mode, options.withHistory), (data, entry) => {
+        listener(withCacheInfo({ ...entry, stale: false }));
+    });
+}
+
 /**
  * Get current data source mode
  */
 export function getDataSourceMode() {
-    return 'DefiLlama';
+    return currentMode;
+}
+
+/**
+ * Set (and persist) the default data source mode
+ * @param {string} mode - One of DATA_SOURCE_MODES
+ */
+export function setDataSourceMode(mode) {
+    if (!Object.values(DATA_SOURCE_MODES).includes(mode)) {
+        throw new Error(`Unknown data source mode: ${mode}`);
+    }
+    currentMode = mode;
+    setReplayActive(mode === DATA_SOURCE_MODES.REPLAY);
+    try {
+        globalThis.localStorage?.setItem(MODE_STORAGE_KEY, mode);
+    } catch {
+        // Persisting the preference is best-effort
+    }
 }
 
 /**
  * Clear cached data
  */
 export function clearCache() {
-    cache.data = null;
-    cache.timestamp = 0;
+    clearPersistentCache(POOL_DATA_CACHE_PREFIX);
 }
 
-export default { fetchPoolData, getDataSourceMode, clearCache };
+export default { fetchPoolData, subscribePoolData, getDataSourceMode, setDataSourceMode, clearCache };
@@ -0,0 +1,189 @@
+/**
+ * Native DEX API integration
+ * Fetches full pool lists through the Vite /api/* proxies (or the hosts set
+ * with configureUpstreams on the aggregation server). Which DEX uses which
+ * adapter is set by `nativeApi` in dex-registry.js.
+ */
+
+import { fetchJson } from './http-client.js';
+import { trackSource } from './source-health.js';
+import { validateRoot, validateItems } from './schema.js';
+import { UPSTREAMS } from './upstreams.js';
+import { getDex, getNativeApiDexes } from './dex-registry.js';
+
+// Page size / safety cap for paginated endpoints
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+
+/**
+ * Fetch every page of a paginated pool list
+ * Stops on a short page, on the reported total, or when the API ignores
+ * paging and returns the same page again.
+ * @param {Function} buildUrl - ({ offset, limit, page }) => url
+ * @param {Function} extract - json => { items, total }
+ * @returns {Promise<Array>} All raw pool items
+ */
+async function fetchAllPages(buildUrl, extract) {
+    const all = [];
+    let firstKey = null;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const url = buildUrl({ offset: page * PAGE_SIZE, limit: PAGE_SIZE, page: page + 1 });
+        const { items, total } = extract(await fetchJson(url));
+        if (!items.length) break;
+
+        const key = JSON.stringify(items[0]);
+        if (page > 0 && key === firstKey) break;
+        if (page === 0) firstKey = key;
+
+        all.push(...items);
+        if (items.length < PAGE_SIZE) break;
+        if (total !== undefined && all.length >= total) break;
+    }
+
+    return all;
+}
+
+const toNumber = (value) => {
+    const n = parseFloat(value);
+    return isNaN(n) ? 0 : n;
+};
+
+/**
+ * Native pool list adapters, keyed by registry `nativeApi`
+ *   buildUrl: ({ offset, limit, page }) => url
+ *   extract:  json => { items, total } (validates the page root)
+ *   schema:   schema.js name used to check each item
+ *   mapRow:   (item, dexName) => pool row
+ */
+const NATIVE_ADAPTERS = {
+    // Cetus reports fee_rate in parts per million (2500 = 0.25%)
+    cetus: {
+        buildUrl: ({ offset, limit }) => `${UPSTREAMS.cetus}/v2/sui/pools_info?limit=${limit}&offset=${offset}`,
+        extract: (json) => {
+            validateRoot('cetusPools', json);
+            return { items: json.data.lp_list, total: json.data.total };
+        },
+        schema: 'cetusPools',
+        mapRow: (p, dex) => {
+            const volume24h = toNumber(p.vol_in_usd_24h);
+            const feeRate = toNumber(p.fee_rate) / 1e6;
+            return {
+                id: p.address,
+                address: p.address,
+                name: p.symbol || `${p.coin_a_symbol}/${p.coin_b_symbol}`,
+                dex,
+                tvl: toNumber(p.tvl_in_usd),
+                volume_24h: volume24h,
+                fees_24h: volume24h * feeRate,
+                fee_source: 'feeTier',
+                apr: toNumber(p.apr_24h),
+                fee_rate: feeRate,
+            };
+        },
+    },
+
+    // Momentum reports fee as a percentage (0.25 = 0.25%)
+    momentum: {
+        buildUrl: ({ page, limit }) => `${UPSTREAMS.momentum}/api/v1/pools?page=${page}&limit=${limit}`,
+        extract: (json) => {
+            validateRoot('momentumPools', json);
+            return {
+                items: Array.isArray(json) ? json : json.data,
+                total: json.total ?? json.pagination?.total,
+            };
+        },
+        schema: 'momentumPools',
+        mapRow: (p, dex) => {
+            const volume24h = toNumber(p.volume_24h);
+            const feeRate = toNumber(p.fee) / 100;
+            return {
+                id: p.pool_id || p.address,
+                address: p.pool_id || p.address,
+                name: p.name || p.symbol,
+                dex,
+                tvl: toNumber(p.tvl),
+                volume_24h: volume24h,
+                fees_24h: volume24h * feeRate,
+                fee_source: 'feeTier',
+                apr: toNumber(p.apr),
+                fee_rate: feeRate,
+            };
+        },
+    },
+
+    // Bluefin reports fee_rate as a fraction (0.0025 = 0.25%)
+    bluefin: {
+        buildUrl: ({ page, limit }) => `${UPSTREAMS.bluefin}/pools/info?page=${page}&limit=${limit}`,
+        extract: (json) => {
+            validateRoot('bluefinPools', json);
+            return { items: Array.isArray(json) ? json : json.data };
+        },
+        schema: 'bluefinPools',
+        mapRow: (p, dex) => {
+            const volume24h = toNumber(p.volume_24h ?? p.day?.volume);
+            const feeRate = toNumber(p.fee_rate ?? p.feeRate);
+            return {
+                id: p.pool_address || p.address,
+                address: p.pool_address || p.address,
+                name: p.symbol || p.name,
+                dex,
+                tvl: toNumber(p.tvl) || toNumber(p.liquidity_usd),
+                volume_24h: volume24h,
+                fees_24h: volume24h * feeRate,
+                fee_source: 'feeTier',
+                apr: toNumber(p.apr ?? p.day?.apr?.total),
+                fee_rate: feeRate,
+            };
+        },
+    },
+};
+
+/**
+ * Fetch all pools of a DEX from its native API
+ * Health is tracked under the adapter id (e.g. 'cetus') as "<DEX> API".
+ * @param {string} dexName - DEX name with a native adapter in the registry
+ * @returns {Promise<Object>} Source result { data: rows | null, status, latencyMs, error }
+ */
+export async function fetchDexPoolsResult(dexName) {
+    const adapterId = getDex(dexName)?.nativeApi;
+    const adapter = NATIVE_ADAPTERS[adapterId];
+    if (!adapter) throw new Error(`No native pool API adapter for ${dexName}`);
+
+    const result = await trackSource(adapterId, `${dexName} API`, async () => {
+        const pages = await fetchAllPages(adapter.buildUrl, adapter.extract);
+        const { items: list } = validateItems(adapter.schema, pages);
+        return list.map(p => adapter.mapRow(p, dexName));
+    }, rows => rows.length);
+
+    if (result.error) console.error(`${dexName} fetch error:`, result.error);
+    return result;
+}
+
+/**
+ * Fetch all pools of a DEX (rows only; [] when the API is unavailable)
+ * @param {string} dexName - DEX name
+ * @returns {Promise<Array>} Raw pool rows
+ */
+export async function fetchDexPools(dexName) {
+    return (await fetchDexPoolsResult(dexName)).data || [];
+}
+
+/**
+ * Fetch pools from every native DEX API in parallel, keeping per-DEX results
+ * @returns {Promise<Object>} Source results keyed by DEX name (e.g. { Cetus, Bluefin, Momentum })
+ */
+export async function fetchAllDexPoolResults() {
+    const names = getNativeApiDexes().map(dex => dex.name);
+    const results = await Promise.all(names.map(fetchDexPoolsResult));
+    return Object.fromEntries(names.map((name, i) => [name, results[i]]));
+}
+
+/**
+ * Fetch pools from every native DEX API in parallel
+ * @returns {Promise<Array>} Raw pool rows from all DEXs
+ */
+export async function fetchAllDexPools() {
+    const results = await fetchAllDexPoolResults();
+    return Object.values(results).flatMap(r => r.data || []);
+}
@@ -0,0 +1,149 @@
+/**
+ * DEX History - daily fees / volume / TVL series per DEX
+ * From DefiLlama (overview + protocol TVL) or from local IndexedDB snapshots
+ */
+
+import {
+    fetchSuiFees,
+    fetchSuiHistoricalVolume,
+    fetchDexTvlHistory,
+} from './fetch-defillama.js';
+import { DEX_NAMES } from './dex-registry.js';
+import { getDexSeries } from './snapshot-store.js';
+import { SOURCE_STATUS } from './source-health.js';
+import { replayNow } from './replay.js';
+import { isApiServerEnabled, fetchServerHistory } from './api-server.js';
+import { daysSince, MA_WARMUP_DAYS } from './chart-series.js';
+
+// History sources: DefiLlama daily series or our own IndexedDB snapshots
+export const HISTORY_SOURCES = [
+    { key: 'defillama', label: 'DefiLlama', description: 'Daily DEX-level series from DefiLlama' },
+    { key: 'snapshots', label: 'Snapshots', description: 'Locally recorded snapshots from previous visits' },
+];
+
+// Long enough for the full DefiLlama history of the Sui DEXs (mainnet launched May 2023)
+export const ALL_TIME_DAYS = 10 * 365;
+
+/**
+ * Days of history to fetch for a chart query, including the moving-average warm-up
+ * @param {Object} query - { period: days | 'all' | 'custom', start: 'YYYY-MM-DD' (custom) }
+ * @returns {number} Days
+ */
+export function historyFetchDays(query) {
+    if (query.period === 'all' || (query.period === 'custom' && !query.start)) return ALL_TIME_DAYS;
+    const days = query.period === 'custom' ? daysSince(query.start) : query.period;
+    return Math.min(ALL_TIME_DAYS, days + MA_WARMUP_DAYS);
+}
+
+/**
+ * Fetch historical TVL for all DEXs
+ * @param {number} days - Number of days
+ * @param {Object} options - Cache options ({ forceRefresh })
+ * @returns {Promise<object>} { daily: [{ date, [dex]: tvl }], totals, failed: [dex] }
+ */
+async function fetchHistoricalTVL(days = 30, options = {}) {
+    const dexNames = DEX_NAMES;
+
+    try {
+        // Fetch TVL for each DEX in parallel
+        const allData = await Promise.all(dexNames.map(async (dex) => {
+            const result = await fetchDexTvlHistory(dex, options);
+            // A partial sum (some of the DEX's protocols missing) is reported as a failure
+            return { dex, data: result.data, failed: result.status !== SOURCE_STATUS.OK };
+        }));
+
+        // Find common date range (last N days, relative to the recording when replaying)
+        const cutoff = await replayNow() - (days * 24 * 60 * 60 * 1000);
+
+        // Build daily data map
+        const dailyMap = {};
+
+        allData.forEach(({ dex, data }) => {
+            data.forEach(({ date, totalLiquidityUSD }) => {
+                const timestamp = date * 1000;
+                if (timestamp < cutoff) return;
+
+                const dateStr = new Date(timestamp).toISOString().split('T')[0];
+                if (!dailyMap[dateStr]) {
+                    dailyMap[dateStr] = { date: dateStr };
+                }
+                dailyMap[dateStr][dex] = totalLiquidityUSD || 0;
+            });
+        });
+
+        // Convert to array and sort by date
+        const daily = Object.values(dailyMap)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .slice(-days);
+
+        return { daily, totals: {}, failed: allData.filter(d => d.failed).map(d => d.dex) };
+    } catch (e) {
+        console.error('TVL fetch failed:', e);
+        return { daily: [], totals: {}, failed: dexNames };
+    }
+}
+
+/**
+ * Build fees / volume / tvl series from locally stored snapshots
+ * @param {number} days - Number of days
+ * @param {string} mode - Data source mode the snapshots were recorded in
+ */
+async function fetchSnapshotHistory(days, mode) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const dexNames = DEX_NAMES;
+
+    const series = await Promise.all(dexNames.map(dex => getDexSeries(dex, { since, mode })));
+
+    const rows = { fees: {}, volume: {}, tvl: {} };
+    series.forEach((points, i) => {
+        const dex = dexNames[i];
+        points.forEach(point => {
+            const date = new Date(point.timestamp).toISOString().slice(0, 16);
+            for (const [key, field] of [['fees', 'fees_24h'], ['volume', 'volume_24h'], ['tvl', 'tvl']]) {
+                if (!rows[key][date]) rows[key][date] = { date };
+                rows[key][date][dex] = point[field];
+            }
+        });
+    });
+
+    const sorted = (map) => Object.values(map).sort((a, b) => a.date.localeCompare(b.date));
+    return { fees: sorted(rows.fees), volume: sorted(rows.volume), tvl: sorted(rows.tvl) };
+}
+
+/**
+ * Fetch per-DEX fees / volume / TVL series
+ * @param {Object} options - Query options
+ * @param {number} options.period - Number of days
+ * @param {string} options.source - 'defillama' or 'snapshots'
+ * @param {string} options.mode - Data source mode (snapshots only)
+ * @param {boolean} options.forceRefresh - Bypass the DefiLlama cache
+ * @returns {Promise<object>} { fees, volume, tvl } daily rows keyed by DEX, plus
+ *   failures: [{ series, error }] for DefiLlama series that could not be loaded
+ */
+export async function fetchDexHistory(options = {}) {
+    const { period = 30, source = 'defillama', mode, forceRefresh = false } = options;
+
+    if (source === 'snapshots') {
+        return { ...await fetchSnapshotHistory(period, mode), failures: [] };
+    }
+
+    if (isApiServerEnabled()) return fetchServerHistory(period);
+
+    const [feesData, volumeData, tvlData] = await Promise.all([
+        fetchSuiFees(period, { forceRefresh }),
+        fetchSuiHistoricalVolume(period, { forceRefresh }),
+        fetchHistoricalTVL(period, { forceRefresh }),
+    ]);
+
+    const failures = [];
+    if (feesData.status === SOURCE_STATUS.ERROR) failures.push({ series: 'fees', error: feesData.error });
+    if (volumeData.status === SOURCE_STATUS.ERROR) failures.push({ series: 'volume', error: volumeData.error });
+    if (tvlData.failed.length) failures.push({ series: 'tvl', error: `TVL unavailable for ${tvlData.failed.join(', ')}` });
+
+    return {
+        fees: feesData?.daily || [],
+        volume: volumeData?.daily || [],
+        tvl: tvlData?.daily || [],
+        failures,
+    };
+}
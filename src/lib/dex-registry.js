@@ -0,0 +1,187 @@
+/**
+ * DEX Registry - single source of truth for every tracked Sui DEX
+ * Fetchers, filters, table indicators and chart lines are all driven from
+ * this list; adding a DEX is a new entry here.
+ *
+ * Entry fields:
+ *   name          Display name (also the `dex` value on pool rows)
+ *   color         Chart / indicator colour
+ *   defillama     protocols: DefiLlama protocol slugs (TVL, summed when several)
+ *                 yieldsProjects: yields.llama.fi `project` values
+ *                 volumeNames / feeNames: names in the /overview dexs / fees breakdowns
+ *   nativeApi     Native pool list adapter (see dex-apis.js NATIVE_ADAPTERS), or
+ *                 'fullsail-sdk' for the Full Sail SDK, or null (DefiLlama only)
+ *   app           url: the DEX web app
+ *                 poolUrl: pool page template ('{address}' = pool object id), or null
+ */
+
+export const DEX_REGISTRY = [
+    {
+        name: 'Full Sail',
+        color: '#7D99FD', // Full Sail Blue
+        defillama: {
+            protocols: ['full-sail'],
+            yieldsProjects: ['full-sail'],
+            volumeNames: ['Full Sail'],
+            feeNames: ['Full Sail'],
+        },
+        nativeApi: 'fullsail-sdk',
+        app: { url: 'https://app.fullsail.finance', poolUrl: null },
+    },
+    {
+        name: 'Cetus',
+        color: '#10b981', // Emerald
+        defillama: {
+            protocols: ['cetus-amm'],
+            yieldsProjects: ['cetus-clmm'],
+            volumeNames: ['Cetus CLMM'],
+            feeNames: ['Cetus CLMM'],
+        },
+        nativeApi: 'cetus',
+        app: { url: 'https://app.cetus.zone', poolUrl: 'https://app.cetus.zone/liquidity/deposit?poolAddress={address}' },
+    },
+    {
+        name: 'Bluefin',
+        color: '#3b82f6', // Blue
+        defillama: {
+            protocols: ['bluefin-spot'],
+            yieldsProjects: ['bluefin-spot'],
+            volumeNames: ['Bluefin Spot'],
+            feeNames: ['Bluefin Spot'],
+        },
+        nativeApi: 'bluefin',
+        app: { url: 'https://trade.bluefin.io', poolUrl: null },
+    },
+    {
+        name: 'Momentum',
+        color: '#f59e0b', // Amber
+        defillama: {
+            protocols: ['momentum'],
+            yieldsProjects: ['momentum'],
+            volumeNames: ['Momentum'],
+            feeNames: ['Momentum'],
+        },
+        nativeApi: 'momentum',
+        app: { url: 'https://app.mmt.finance', poolUrl: null },
+    },
+    {
+        name: 'Turbos',
+        color: '#ec4899', // Pink
+        defillama: {
+            protocols: ['turbos'],
+            yieldsProjects: ['turbos'],
+            volumeNames: ['Turbos'],
+            feeNames: ['Turbos'],
+        },
+        nativeApi: null,
+        app: { url: 'https://app.turbos.finance', poolUrl: null },
+    },
+    {
+        name: 'Aftermath',
+        color: '#f43f5e', // Rose
+        defillama: {
+            protocols: ['aftermath-amm'],
+            yieldsProjects: ['aftermath-amm'],
+            volumeNames: ['Aftermath AMM'],
+            feeNames: ['Aftermath AMM'],
+        },
+        nativeApi: null,
+        app: { url: 'https://aftermath.finance', poolUrl: null },
+    },
+    {
+        name: 'FlowX',
+        color: '#8b5cf6', // Violet
+        defillama: {
+            protocols: ['flowx-v2', 'flowx-v3'],
+            yieldsProjects: ['flowx-v2', 'flowx-v3'],
+            volumeNames: ['FlowX V2', 'FlowX V3'],
+            feeNames: ['FlowX V2', 'FlowX V3'],
+        },
+        nativeApi: null,
+        app: { url: 'https://flowx.finance', poolUrl: null },
+    },
+    {
+        name: 'Kriya',
+        color: '#14b8a6', // Teal
+        defillama: {
+            protocols: ['kriya-amm', 'kriya-clmm'],
+            yieldsProjects: ['kriya-amm', 'kriya-clmm'],
+            volumeNames: ['Kriya AMM', 'Kriya CLMM'],
+            feeNames: ['Kriya AMM', 'Kriya CLMM'],
+        },
+        nativeApi: null,
+        app: { url: 'https://app.kriya.finance', poolUrl: null },
+    },
+];
+
+// Colour for rows whose DEX is not in the registry
+const FALLBACK_COLOR = '#64748b';
+
+// Series key for DefiLlama breakdown entries of Sui DEXs not in the registry
+export const OTHER_DEX = 'Other Sui DEXs';
+
+/**
+ * Build an external-name -> DEX-name lookup from a list field
+ */
+function indexBy(field) {
+    const index = {};
+    for (const dex of DEX_REGISTRY) {
+        for (const key of dex.defillama[field]) index[key] = dex.name;
+    }
+    return index;
+}
+
+// Tracked DEX names, in display order
+export const DEX_NAMES = DEX_REGISTRY.map(dex => dex.name);
+
+// name -> colour
+export const DEX_COLORS = Object.fromEntries(DEX_REGISTRY.map(dex => [dex.name, dex.color]));
+
+// DefiLlama yields project -> DEX name
+export const PROJECT_TO_DEX = indexBy('yieldsProjects');
+
+// DefiLlama /overview/dexs breakdown name -> DEX name
+export const VOLUME_NAME_TO_DEX = indexBy('volumeNames');
+
+// DefiLlama /overview/fees breakdown name -> DEX name
+export const FEE_NAME_TO_DEX = indexBy('feeNames');
+
+// The DEX whose pools come from the Full Sail SDK
+export const SDK_DEX = DEX_REGISTRY.find(dex => dex.nativeApi === 'fullsail-sdk')?.name;
+
+/**
+ * Registry entry for a DEX name
+ * @param {string} name - DEX display name
+ * @returns {Object|undefined} Entry
+ */
+export function getDex(name) {
+    return DEX_REGISTRY.find(dex => dex.name === name);
+}
+
+/**
+ * Colour for a DEX (grey for unknown DEXs)
+ */
+export function dexColor(name) {
+    return DEX_COLORS[name] || FALLBACK_COLOR;
+}
+
+/**
+ * Link to a pool in its DEX's web app (the app's home page when the DEX has
+ * no pool page template or the pool address is unknown)
+ * @param {string} name - DEX display name
+ * @param {string|null} address - Pool object id
+ * @returns {string|null} URL, or null for DEXs not in the registry
+ */
+export function dexPoolUrl(name, address) {
+    const app = getDex(name)?.app;
+    if (!app) return null;
+    return app.poolUrl && address ? app.poolUrl.replace('{address}', address) : app.url;
+}
+
+/**
+ * DEXs that have a native pool list adapter (excluding the Full Sail SDK)
+ * @returns {Array} Registry entries
+ */
+export function getNativeApiDexes() {
+    return DEX_REGISTRY.filter(dex => dex.nativeApi && dex.nativeApi !== 'fullsail-sdk');
+}
@@ -0,0 +1,120 @@
+/**
+ * DEX capital efficiency
+ * Per-DEX fee / volume / TVL ratios over a period, plus the same ratios for
+ * the previous equal-length period so the scorecard can show deltas. Built on
+ * the fetchDexHistory series, so it follows the aggregation server and Replay
+ * mode like the historical chart.
+ */
+
+import { fetchDexHistory } from './dex-history.js';
+import { DEX_NAMES } from './dex-registry.js';
+
+// Scorecard metrics (values are what calculateEfficiencyMetrics returns per DEX).
+// higherIsBetter: false means a rise is not an efficiency gain (shown neutral)
+export const EFFICIENCY_METRICS = [
+    {
+        key: 'feeToTvl',
+        label: 'Fee / TVL',
+        unit: '%',
+        higherIsBetter: true,
+        description: 'Fees earned in the period as a share of average TVL. How much each dollar of liquidity earned.',
+    },
+    {
+        key: 'annualizedFeeYield',
+        label: 'Fee Yield (APR)',
+        unit: '%',
+        higherIsBetter: true,
+        description: 'Fee / TVL scaled to a year (fees per day × 365 ÷ average TVL). Comparable across periods.',
+    },
+    {
+        key: 'volumeToTvl',
+        label: 'Turnover',
+        unit: 'x',
+        higherIsBetter: true,
+        description: 'Volume ÷ average TVL. How many times the liquidity was traded through in the period.',
+    },
+    {
+        key: 'feeToVolume',
+        label: 'Fee / Volume',
+        unit: '%',
+        higherIsBetter: false,
+        description: 'Fees ÷ volume, the effective fee rate traders paid. Higher means pricier swaps, not better capital use.',
+    },
+];
+
+/**
+ * Efficiency ratios for one DEX over one window
+ * @param {string} dex - DEX name
+ * @param {Object} totals - { fees, volume, tvl (average over the window) }
+ * @param {number} days - Window length in days
+ */
+function efficiencyRatios(dex, { fees, volume, tvl }, days) {
+    return {
+        name: dex,
+        fees,
+        volume,
+        tvl,
+        feeToTvl: tvl > 0 ? (fees / tvl) * 100 : 0, // As percentage
+        feeToVolume: volume > 0 ? (fees / volume) * 100 : 0, // As percentage (fee rate)
+        volumeToTvl: tvl > 0 ? volume / tvl : 0, // Capital turnover
+        // Annualized fee yield
+        annualizedFeeYield: tvl > 0 ? ((fees / days) * 365 / tvl) * 100 : 0,
+    };
+}
+
+/**
+ * Sum fees / volume and average TVL per DEX over a set of dates
+ */
+function windowMetrics(history, dates, days) {
+    const inWindow = (rows) => rows.filter(row => dates.has(row.date.slice(0, 10)));
+    const fees = inWindow(history.fees);
+    const volume = inWindow(history.volume);
+    const tvl = inWindow(history.tvl);
+
+    const metrics = {};
+    for (const dex of DEX_NAMES) {
+        const tvlPoints = tvl.map(row => row[dex]).filter(value => value > 0);
+        metrics[dex] = efficiencyRatios(dex, {
+            fees: fees.reduce((sum, row) => sum + (row[dex] || 0), 0),
+            volume: volume.reduce((sum, row) => sum + (row[dex] || 0), 0),
+            tvl: tvlPoints.length ? tvlPoints.reduce((sum, v) => sum + v, 0) / tvlPoints.length : 0,
+        }, days);
+    }
+    return metrics;
+}
+
+/**
+ * Calculate capital efficiency metrics for all DEXs
+ * The period is the last `days` days of the daily fees series (volume when
+ * fees are unavailable); the previous period is the `days` before it.
+ * @param {number} days - Time period in days (1, 7, 30, 90)
+ * @param {Object} options - { forceRefresh }
+ * @returns {Promise<object>} { metrics, previous (null when history is too short), period,
+ *   range: { current: [start, end], previous: [start, end] | null }, failures: [{ series, error }] }
+ */
+export async function calculateEfficiencyMetrics(days = 7, options = {}) {
+    const { forceRefresh = false } = options;
+    // One extra day: the TVL series ends with today's partial point, the fees series does not
+    const history = await fetchDexHistory({ period: days * 2 + 1, forceRefresh });
+
+    const dayRows = history.fees.length ? history.fees : history.volume;
+    const dates = [...new Set(dayRows.map(row => row.date.slice(0, 10)))].sort();
+    if (!dates.length) {
+        return { metrics: {}, previous: null, period: days, range: null, failures: history.failures };
+    }
+
+    const currentDates = dates.slice(-days);
+    const previousDates = dates.slice(-days * 2, -days);
+    const hasPrevious = previousDates.length === days;
+
+    return {
+        metrics: windowMetrics(history, new Set(currentDates), currentDates.length),
+        previous: hasPrevious ? windowMetrics(history, new Set(previousDates), days) : null,
+        period: days,
+        range: {
+            current: [currentDates[0], currentDates[currentDates.length - 1]],
+            previous: hasPrevious ? [previousDates[0], previousDates[previousDates.length - 1]] : null,
+        },
+        failures: history.failures,
+    };
+}
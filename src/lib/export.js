@@ -0,0 +1,164 @@
+/**
+ * Data exports
+ * CSV / JSON files for the pool table and chart series, and PNG snapshots of
+ * charts. Values are written raw (numbers, not formatted strings); every file
+ * starts with a metadata header (source mode, export time, filters).
+ *
+ * Column: { key, label, value?: row => raw value } (value defaults to row[key])
+ */
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) value = value.join(';');
+    const text = typeof value === 'number' ? (Number.isFinite(value) ? String(value) : '') : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const columnValue = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+/**
+ * Build a CSV document
+ * The metadata header is written as leading "# key: value" comment lines.
+ * @param {Array} columns - Columns to export
+ * @param {Array} rows - Rows
+ * @param {Object} metadata - { [key]: value }
+ * @returns {string} CSV text
+ */
+export function toCsv(columns, rows, metadata = {}) {
+    const header = Object.entries(metadata)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `# ${key}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+    const lines = [
+        columns.map(column => csvCell(column.label || column.key)).join(','),
+        ...rows.map(row => columns.map(column => csvCell(columnValue(column, row))).join(',')),
+    ];
+    return [...header, ...lines].join('\n') + '\n';
+}
+
+/**
+ * Build a JSON export document
+ * @param {Array} columns - Columns to export (keys become the row fields)
+ * @param {Array} rows - Rows
+ * @param {Object} metadata - { [key]: value }
+ * @returns {string} JSON text ({ metadata, columns, rows })
+ */
+export function toJsonExport(columns, rows, metadata = {}) {
+    return JSON.stringify({
+        metadata,
+        columns: columns.map(column => ({ key: column.key, label: column.label || column.key })),
+        rows: rows.map(row => Object.fromEntries(columns.map(column => [column.key, columnValue(column, row) ?? null]))),
+    }, null, 2);
+}
+
+/**
+ * File name for an export: <base>-<YYYY-MM-DD-HHmm>.<extension>
+ */
+export function exportFileName(base, extension, date = new Date()) {
+    const stamp = date.toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+    return `${base}-${stamp}.${extension}`;
+}
+
+/**
+ * Save a Blob or text as a file download
+ * @param {string} fileName - File name
+ * @param {Blob|string} content - File content
+ * @param {string} type - MIME type (for text content)
+ */
+export function downloadFile(fileName, content, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const PNG_SCALE = 2;
+const PNG_PADDING = 16;
+const PNG_LINE_HEIGHT = 18;
+const PNG_FONT = '11px sans-serif';
+const PNG_TITLE_FONT = '600 14px sans-serif';
+
+/**
+ * Render a chart SVG to a PNG with a text header and legend
+ * @param {SVGSVGElement} svg - Chart surface (e.g. a recharts .recharts-surface)
+ * @param {Object} options - { title, lines: metadata text lines, legend: [{ label, color }], background }
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function chartToPng(svg, options = {}) {
+    const { title = '', lines = [], legend = [], background = '#0f172a' } = options;
+    const { width, height } = svg.getBoundingClientRect();
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const source = new XMLSerializer().serializeToString(clone);
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml;charset=utf-8' }));
+    try {
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('Chart image could not be rendered'));
+            image.src = url;
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    // Lay out the legend in rows that fit the chart width
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = PNG_FONT;
+    const legendRows = [];
+    let rowWidth = Infinity;
+    for (const item of legend) {
+        const itemWidth = 14 + ctx.measureText(item.label).width + 16;
+        if (rowWidth + itemWidth > width) {
+            legendRows.push([]);
+            rowWidth = 0;
+        }
+        legendRows[legendRows.length - 1].push({ ...item, x: PNG_PADDING + rowWidth });
+        rowWidth += itemWidth;
+    }
+
+    const headerLines = (title ? 1 : 0) + lines.length + legendRows.length;
+    const headerHeight = PNG_PADDING + headerLines * PNG_LINE_HEIGHT;
+    canvas.width = (width + PNG_PADDING * 2) * PNG_SCALE;
+    canvas.height = (height + headerHeight + PNG_PADDING * 2) * PNG_SCALE;
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    let y = PNG_PADDING + 12;
+    if (title) {
+        ctx.font = PNG_TITLE_FONT;
+        ctx.fillStyle = '#f1f5f9';
+        ctx.fillText(title, PNG_PADDING, y);
+        y += PNG_LINE_HEIGHT;
+    }
+    ctx.font = PNG_FONT;
+    for (const line of lines) {
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(line, PNG_PADDING, y);
+        y += PNG_LINE_HEIGHT;
+    }
+    for (const row of legendRows) {
+        for (const { label, color, x } of row) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 9, 10, 10);
+            ctx.fillStyle = '#e2e8f0';
+            ctx.fillText(label, x + 14, y);
+        }
+        y += PNG_LINE_HEIGHT;
+    }
+
+    ctx.drawImage(image, PNG_PADDING, headerHeight + PNG_PADDING, width, height);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+}
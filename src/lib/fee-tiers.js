@@ -0,0 +1,118 @@
+/**
+ * Per-pool fee tiers
+ * Joins real fee rates (native DEX APIs, Full Sail SDK, DefiLlama poolMeta)
+ * onto pool rows and derives fees from volume × fee rate
+ */
+
+import { poolPair } from './pool-pairs.js';
+
+/**
+ * Parse a fee tier from a DefiLlama poolMeta string ("0.25%" -> 0.0025)
+ * @param {string} poolMeta - DefiLlama poolMeta
+ * @returns {number|null} Fee rate as a fraction
+ */
+export function parseFeeTier(poolMeta) {
+    if (typeof poolMeta !== 'string') return null;
+    const match = poolMeta.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (!match) return null;
+    const rate = parseFloat(match[1]) / 100;
+    return rate > 0 && rate < 0.1 ? rate : null;
+}
+
+function addressKey(id) {
+    if (typeof id !== 'string' || !id.startsWith('0x')) return null;
+    return id.toLowerCase().split('-')[0];
+}
+
+// Canonical pair scoped to a DEX (wrapped and native tokens stay distinct)
+function pairKey(pool) {
+    return `${pool.dex}:${poolPair(pool).key}`;
+}
+
+/**
+ * Build a fee tier index from pools that carry a real fee_rate
+ * Plain objects, so the index can be kept in the persistent cache.
+ * @param {Array} rows - Native DEX / SDK pool rows with fee_rate
+ * @returns {Object} { byAddress: { [address]: rate }, byPair: { [dex:pair]: [rates] } }
+ */
+export function buildFeeTierIndex(rows) {
+    const byAddress = {};
+    const byPair = {};
+
+    for (const row of rows) {
+        if (!(row.fee_rate > 0)) continue;
+
+        const address = addressKey(row.address || row.id);
+        if (address) byAddress[address] = row.fee_rate;
+
+        const key = pairKey(row);
+        if (!byPair[key]) byPair[key] = [];
+        if (!byPair[key].includes(row.fee_rate)) byPair[key].push(row.fee_rate);
+    }
+
+    return { byAddress, byPair };
+}
+
+/**
+ * Whether any pool still needs the fee tier index (no own fee_rate and no
+ * tier in its DefiLlama poolMeta)
+ * @param {Array} pools - Pool rows
+ */
+export function needsFeeTierIndex(pools) {
+    return pools.some(pool => !(pool.fee_rate > 0) && !parseFeeTier(pool.poolMeta));
+}
+
+/**
+ * Resolve a pool's fee rate
+ * Order: the row's own fee_rate, DefiLlama poolMeta, address match,
+ * then DEX + pair match when only one tier exists for that pair.
+ * @returns {Object} { rate, source }
+ */
+function resolveFeeRate(pool, index) {
+    // Rows joined before (e.g. served by the aggregation server) keep their source
+    if (pool.fee_rate > 0) return { rate: pool.fee_rate, source: pool.fee_rate_source || 'pool' };
+
+    const fromMeta = parseFeeTier(pool.poolMeta);
+    if (fromMeta) return { rate: fromMeta, source: 'poolMeta' };
+
+    const address = addressKey(pool.address || pool.id);
+    if (address && index.byAddress[address]) {
+        return { rate: index.byAddress[address], source: 'address' };
+    }
+
+    const tiers = index.byPair[pairKey(pool)];
+    if (tiers?.length === 1) {
+        return { rate: tiers[0], source: 'pair' };
+    }
+
+    return { rate: null, source: null };
+}
+
+const FEE_WINDOWS = ['24h', '7d', '30d'];
+
+/**
+ * Join fee tiers onto pools and derive fees from volume × fee rate.
+ * Pools with reported fees (e.g. Full Sail SDK) keep them, as do windows
+ * without volume data.
+ * @param {Array} pools - Pool rows
+ * @param {Object} index - Fee tier index from buildFeeTierIndex
+ * @returns {Array} Pools with fee_rate, fee_rate_source and fees_*
+ */
+export function applyFeeTiers(pools, index) {
+    return pools.map(pool => {
+        const { rate, source } = resolveFeeRate(pool, index);
+        const result = { ...pool, fee_rate: rate, fee_rate_source: source };
+
+        if (rate && pool.fee_source !== 'reported') {
+            for (const window of FEE_WINDOWS) {
+                const volume = pool[`volume_${window}`] || 0;
+                if (volume > 0) {
+                    result[`fees_${window}`] = volume * rate;
+                    result.fee_source = 'feeTier';
+                }
+            }
+        }
+
+        return result;
+    });
+}
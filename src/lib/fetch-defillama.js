@@ -1,34 +1,36 @@
 /**
  * DefiLlama API integration for Sui DEX data
  * Provides unified access to TVL and volume metrics
+ * Responses are kept in the persistent stale-while-revalidate cache and every
+ * endpoint reports its health (status, latency, error, cache state) to
+ * source-health.js. Failures return null / empty values plus an error, never
+ * a fake zero.
  */
 
-// Protocol slug mapping for Sui DEXs
-const PROTOCOL_SLUGS = {
-    'Full Sail': 'full-sail',
-    'Cetus': 'cetus-amm',
-    'Bluefin': 'bluefin-spot',
-};
-
-// Base URLs for DefiLlama API
-const DEFILLAMA_API = 'https://api.llama.fi';
-const DEFILLAMA_VOLUMES_API = 'https://api.llama.fi';
+import { fetchJson } from './http-client.js';
+import { trackCachedSource, SOURCE_STATUS } from './source-health.js';
+import { validatePayload } from './schema.js';
+import { UPSTREAMS } from './upstreams.js';
+import { parseSuiPools, YIELDS_TIMEOUT_MS } from './yields-pools.js';
+import { DEX_NAMES, VOLUME_NAME_TO_DEX, FEE_NAME_TO_DEX, OTHER_DEX, getDex } from './dex-registry.js';
+import { isYieldsWorkerAvailable, fetchSuiPoolsInWorker } from './yields-worker-client.js';
+import { isReplayActive, isRecording, recordResponse } from './replay.js';
 
 /**
  * Fetch TVL for a specific protocol
  * @param {string} slug - DefiLlama protocol slug
- * @returns {Promise<number>} TVL in USD
+ * @returns {Promise<number|null>} TVL in USD, or null when unavailable
  */
 export async function fetchProtocolTVL(slug) {
-    try {
-        const res = await fetch(`${DEFILLAMA_API}/tvl/${slug}`);
-        if (!res.ok) throw new Error(`TVL fetch failed: ${res.status}`);
-        const tvl = await res.json();
-        return typeof tvl === 'number' ? tvl : 0;
-    } catch (e) {
-        console.warn(`DefiLlama TVL fetch failed for ${slug}:`, e.message);
-        return 0;
+    const result = await trackCachedSource(`defillama:tvl:${slug}`, `DefiLlama TVL · ${slug}`, `tvl:${slug}`, 'protocol-tvl', async () => {
+        const tvl = await fetchJson(`${UPSTREAMS.defillama}/tvl/${slug}`);
+        return validatePayload('protocolTvl', tvl).items;
+    });
+
+    if (result.status === SOURCE_STATUS.ERROR) {
+        console.warn(`DefiLlama TVL fetch failed for ${slug}:`, result.error);
     }
+    return result.data;
 }
 
 /**
@@ -38,9 +40,7 @@ export async function fetchProtocolTVL(slug) {
  */
 export async function fetchProtocolData(slug) {
     try {
-        const res = await fetch(`${DEFILLAMA_API}/protocol/${slug}`);
-        if (!res.ok) throw new Error(`Protocol fetch failed: ${res.status}`);
-        return await res.json();
+        return await fetchJson(`${UPSTREAMS.defillama}/protocol/${slug}`);
     } catch (e) {
         console.warn(`DefiLlama protocol fetch failed for ${slug}:`, e.message);
         return null;
@@ -48,38 +48,113 @@ export async function fetchProtocolData(slug) {
 }
 
 /**
- * Fetch 24h volume data for all Sui DEXs
- * @returns {Promise<object>} Volume data by DEX
+ * Fetch protocol TVL history (daily)
+ * @param {string} slug - DefiLlama protocol slug
+ * @param {Object} options - Cache options ({ forceRefresh })
+ * @returns {Promise<Object>} Source result; data = points { date (unix seconds), totalLiquidityUSD }
  */
-export async function fetchSuiDexVolumes() {
-    try {
-        const res = await fetch(`${DEFILLAMA_VOLUMES_API}/overview/dexs/sui`);
-        if (!res.ok) throw new Error(`Volume fetch failed: ${res.status}`);
-        const data = await res.json();
-
-        // Get the latest day's breakdown
-        const breakdown = data.totalDataChartBreakdown || [];
-        if (breakdown.length === 0) return {};
+export async function fetchProtocolTvlHistory(slug, options = {}) {
+    const result = await trackCachedSource(
+        `defillama:tvl-history:${slug}`,
+        `DefiLlama TVL history · ${slug}`,
+        `tvl-history:${slug}`,
+        'protocol-history',
+        async () => {
+            const json = await fetchJson(`${UPSTREAMS.defillama}/protocol/${slug}`);
+            const { items } = validatePayload('protocolHistory', json);
+            // Only the TVL series is cached; the full protocol payload is large
+            return items.map(({ date, totalLiquidityUSD }) => ({ date, totalLiquidityUSD }));
+        },
+        { ...options, count: data => data.length },
+    );
+
+    if (result.status === SOURCE_STATUS.ERROR) {
+        console.warn(`DefiLlama TVL history fetch failed for ${slug}:`, result.error);
+    }
+    return { ...result, data: result.data || [] };
+}
 
-        // Get the most recent day's data (last entry)
-        const latestEntry = breakdown[breakdown.length - 1];
-        const [, volumesByDex] = latestEntry;
+/**
+ * Fetch TVL for a DEX (sum of its DefiLlama protocols, see dex-registry.js)
+ * @param {string} dexName - DEX name
+ * @returns {Promise<number|null>} TVL in USD, or null when no protocol responded
+ */
+export async function fetchDexTVL(dexName) {
+    const tvls = await Promise.all(getDex(dexName).defillama.protocols.map(fetchProtocolTVL));
+    const known = tvls.filter(tvl => typeof tvl === 'number');
+    return known.length ? known.reduce((sum, tvl) => sum + tvl, 0) : null;
+}
 
-        return volumesByDex || {};
-    } catch (e) {
-        console.error('DefiLlama volume fetch failed:', e);
-        return {};
+/**
+ * Fetch a DEX's daily TVL history (its DefiLlama protocols summed per UTC day)
+ * @param {string} dexName - DEX name
+ * @param {Object} options - Cache options ({ forceRefresh })
+ * @returns {Promise<Object>} { data: points { date, totalLiquidityUSD }, status, error }
+ *   status is partial when some of the DEX's protocols failed
+ */
+export async function fetchDexTvlHistory(dexName, options = {}) {
+    const slugs = getDex(dexName).defillama.protocols;
+    const results = await Promise.all(slugs.map(slug => fetchProtocolTvlHistory(slug, options)));
+
+    const byDay = new Map();
+    for (const { data } of results) {
+        for (const { date, totalLiquidityUSD } of data) {
+            const day = Math.floor(date / 86400);
+            const point = byDay.get(day);
+            byDay.set(day, {
+                date: Math.max(point?.date ?? 0, date),
+                totalLiquidityUSD: (point?.totalLiquidityUSD || 0) + (totalLiquidityUSD || 0),
+            });
+        }
     }
+
+    const failed = results.filter(r => r.status === SOURCE_STATUS.ERROR);
+    const status = failed.length === 0
+        ? SOURCE_STATUS.OK
+        : failed.length === results.length ? SOURCE_STATUS.ERROR : SOURCE_STATUS.PARTIAL;
+
+    return {
+        data: [...byDay.entries()].sort((a, b) => a[0] - b[0]).map(([, point]) => point),
+        status,
+        error: failed.map(r => r.error).join('; ') || null,
+    };
 }
 
 /**
- * Map DefiLlama DEX names to our standard names
+ * Fetch the per-DEX daily breakdown of a Sui overview (dexs = volume, fees)
+ * @param {string} type - 'dexs' or 'fees'
+ * @param {Object} options - Cache options ({ forceRefresh })
+ * @returns {Promise<Object>} Source result; data = [[timestamp, { [defiLlamaName]: value }], ...]
+ */
+function fetchOverviewBreakdown(type, options = {}) {
+    const endpoint = type === 'fees' ? 'fees-overview' : 'dex-overview';
+    const label = type === 'fees' ? 'DefiLlama fees overview' : 'DefiLlama DEX volume overview';
+
+    return trackCachedSource(`defillama:overview:${type}`, label, `overview:${type}`, endpoint, async () => {
+        const json = await fetchJson(`${UPSTREAMS.defillamaVolumes}/overview/${type}/sui`);
+        return validatePayload(type === 'fees' ? 'overviewFees' : 'overviewDexs', json).items;
+    }, { ...options, count: data => data.length });
+}
+
+/**
+ * Fetch 24h volume data for all Sui DEXs
+ * @returns {Promise<object>} Volume data by DEX
  */
-const DEX_NAME_MAP = {
-    'Cetus CLMM': 'Cetus',
-    'Bluefin Spot': 'Bluefin',
-    'Full Sail': 'Full Sail',
-};
+export async function fetchSuiDexVolumes() {
+    // Get the latest day's breakdown
+    const { data: breakdown, error } = await fetchOverviewBreakdown('dexs');
+    if (!breakdown) {
+        console.error('DefiLlama volume fetch failed:', error);
+        return {};
+    }
+    if (breakdown.length === 0) return {};
+
+    // Get the most recent day's data (last entry)
+    const latestEntry = breakdown[breakdown.length - 1];
+    const [, volumesByDex] = latestEntry;
+
+    return volumesByDex || {};
+}
 
 /**
  * Fetch aggregated data for all tracked Sui DEXs
@@ -90,8 +165,8 @@ export async function fetchAllSuiDexData() {
     const volumes = await fetchSuiDexVolumes();
 
     // Fetch TVL for each DEX in parallel
-    const tvlPromises = Object.entries(PROTOCOL_SLUGS).map(async ([name, slug]) => {
-        const tvl = await fetchProtocolTVL(slug);
+    const tvlPromises = DEX_NAMES.map(async (name) => {
+        const tvl = await fetchDexTVL(name);
         return { name, tvl };
     });
 
@@ -108,11 +183,11 @@ export async function fetchAllSuiDexData() {
         };
     }
 
-    // Map volumes to our DEX names
+    // Map volumes to our DEX names (a DEX may list several DefiLlama names)
     for (const [defiLlamaName, volume] of Object.entries(volumes)) {
-        const ourName = DEX_NAME_MAP[defiLlamaName];
+        const ourName = VOLUME_NAME_TO_DEX[defiLlamaName];
         if (ourName && dexData[ourName]) {
-            dexData[ourName].volume_24h = volume || 0;
+            dexData[ourName].volume_24h += volume || 0;
         }
     }
 
@@ -144,223 +219,134 @@ export async function fetchSuiDexSummary() {
     };
 }
 
-// DefiLlama yields API for pool-level data
-const DEFILLAMA_YIELDS_API = 'https://yields.llama.fi';
-
-// Map DefiLlama project names to our standard DEX names
-const PROJECT_TO_DEX = {
-    'cetus-clmm': 'Cetus',
-    'bluefin-spot': 'Bluefin',
-    'full-sail': 'Full Sail',
-};
-
 /**
  * Fetch pool-level data for all Sui DEXs from DefiLlama yields API
- * @returns {Promise<Array>} Array of pool objects with TVL, APY, and metadata
+ * @param {Object} options - Cache options
+ * @param {boolean} options.forceRefresh - Bypass the cache
+ * @param {boolean} options.allowStale - Return a stale cached payload while revalidating (default true)
+ * @returns {Promise<Object>} Source result { data: pools | null, status, latencyMs, error, cached, stale, fetchedAt }
  */
-export async function fetchSuiPools() {
-    try {
-        const res = await fetch(`${DEFILLAMA_YIELDS_API}/pools`);
-        if (!res.ok) throw new Error(`Pools fetch failed: ${res.status}`);
-        const data = await res.json();
-
-        if (!data.data || !Array.isArray(data.data)) {
-            throw new Error('Invalid pools response');
-        }
-
-        // Filter for Sui chain and our tracked DEXs
-        const suiPools = data.data.filter(pool => {
-            if (pool.chain !== 'Sui') return false;
-            const project = pool.project?.toLowerCase();
-            return PROJECT_TO_DEX[project] !== undefined;
-        });
-
-        // Map to our standard format
-        return suiPools.map(pool => {
-            const project = pool.project?.toLowerCase();
-            const tvl = pool.tvlUsd || 0;
-            const volume24h = pool.volumeUsd1d || 0;
-            const volume7d = pool.volumeUsd7d || 0;
-            const volume30d = volume7d > 0 ? volume7d * 4.28 : volume24h * 30; // Estimate 30d
-
-            // Derive fees from APY Base (Fees / TVL) if available, otherwise estimate from volume (0.25% generic swap fee)
-            let fees24h = 0;
-            let fees7d = 0;
-            let fees30d = 0;
-
-            if (pool.apyBase > 0) {
-                const dailyFeeRate = pool.apyBase / (100 * 365);
-                fees24h = tvl * dailyFeeRate;
-                fees7d = fees24h * 7;
-                fees30d = fees24h * 30;
-            } else {
-                // Fallback: Estimate 0.25% fee tier (common for AMMs)
-                fees24h = volume24h * 0.0025;
-                fees7d = volume7d * 0.0025;
-                fees30d = volume30d * 0.0025;
-            }
+export async function fetchSuiPoolsResult(options = {}) {
+    const result = await trackCachedSource('defillama:yields', 'DefiLlama yields pools', 'yields:sui-pools', 'yields-pools', loadSuiPools, {
+        ...options,
+        count: data => data.length,
+    });
 
-            return {
-                id: pool.pool,
-                name: pool.symbol || 'Unknown',
-                dex: PROJECT_TO_DEX[project] || pool.project,
-                tvl: tvl,
-                volume_24h: volume24h,
-                volume_7d: volume7d,
-                volume_30d: volume30d,
-                fees_24h: fees24h,
-                fees_7d: fees7d,
-                fees_30d: fees30d,
-                apr: pool.apy || 0,
-                apr_7d: pool.apyPct7D || 0,
-                apr_30d: pool.apyMean30d || 0,
-                apyBase: pool.apyBase || 0,
-                apyReward: pool.apyReward || 0,
-                stablecoin: pool.stablecoin || false,
-                // Ratios
-                fee_tvl_ratio: tvl > 0 ? (fees24h * 365) / tvl : 0, // Annualized
-                vol_tvl_ratio: tvl > 0 ? volume24h / tvl : 0,
-                fee_vol_ratio: volume24h > 0 ? fees24h / volume24h : 0,
-            };
-        }).filter(pool => pool.tvl > 0 || pool.apr > 0);
-    } catch (e) {
-        console.error('DefiLlama pools fetch failed:', e.message);
-        return [];
+    if (result.status === SOURCE_STATUS.ERROR) {
+        console.error('DefiLlama pools fetch failed:', result.error);
     }
+    return result;
 }
 
-const FEE_NAME_MAP = {
-    'Cetus CLMM': 'Cetus',
-    'Bluefin Spot': 'Bluefin',
-    'Full Sail': 'Full Sail',
-};
+/**
+ * Fetch pool-level data for all Sui DEXs (data only; [] when unavailable)
+ * @param {Object} options - Cache options (see fetchSuiPoolsResult)
+ * @returns {Promise<Array>} Array of pool objects with TVL, APY, and metadata
+ */
+export async function fetchSuiPools(options = {}) {
+    const { data } = await fetchSuiPoolsResult(options);
+    return data || [];
+}
 
 /**
- * Fetch historical fee data for Sui DEXs
- * @param {number} days - Number of days to fetch (default 30)
- * @returns {Promise<object>} Fee data with breakdown by DEX
+ * Load and map Sui pools from the yields API (throws on failure)
+ * Fetching, parsing and mapping the global payload run in a Web Worker when
+ * available so the first paint is not blocked. Replayed payloads are already
+ * trimmed to Sui and are parsed inline.
  */
-export async function fetchSuiFees(days = 30) {
-    try {
-        const res = await fetch(`${DEFILLAMA_API}/overview/fees/sui`);
-        if (!res.ok) throw new Error(`Fee fetch failed: ${res.status}`);
-        const data = await res.json();
-
-        const breakdown = data.totalDataChartBreakdown || [];
-        if (breakdown.length === 0) return { daily: [], totals: {} };
-
-        // Get last N days
-        const recentData = breakdown.slice(-days);
-
-        // Aggregate fees by DEX
-        const totals = {};
-        const daily = recentData.map(([timestamp, fees]) => {
-            const dayData = { date: new Date(timestamp * 1000).toISOString().split('T')[0] };
-
-            for (const [defiLlamaName, fee] of Object.entries(fees)) {
-                const ourName = FEE_NAME_MAP[defiLlamaName];
-                if (ourName) {
-                    dayData[ourName] = (fee || 0);
-                    totals[ourName] = (totals[ourName] || 0) + (fee || 0);
-                }
-            }
-            return dayData;
-        });
+async function loadSuiPools() {
+    const url = `${UPSTREAMS.defillamaYields}/pools`;
 
-        return { daily, totals, daysIncluded: recentData.length };
-    } catch (e) {
-        console.error('DefiLlama fee fetch failed:', e.message);
-        return { daily: [], totals: {}, daysIncluded: 0 };
+    if (isYieldsWorkerAvailable() && !isReplayActive()) {
+        const { rows, payload } = await fetchSuiPoolsInWorker(url, { timeoutMs: YIELDS_TIMEOUT_MS, keepPayload: isRecording() });
+        if (payload) recordResponse(url, payload);
+        return rows;
     }
+
+    return parseSuiPools(await fetchJson(url, { timeoutMs: YIELDS_TIMEOUT_MS }));
 }
 
 /**
- * Fetch historical volume data for Sui DEXs
+ * Fetch historical fee data for Sui DEXs
+ * Untracked DEXs are summed into OTHER_DEX. The fees overview also lists
+ * non-DEX protocols, so only names that appear in the DEX volume breakdown
+ * count towards it (no OTHER_DEX when that breakdown is unavailable).
  * @param {number} days - Number of days to fetch (default 30)
- * @returns {Promise<object>} Volume data with breakdown by DEX
+ * @param {Object} options - Cache options ({ forceRefresh })
+ * @returns {Promise<object>} { daily, totals, daysIncluded } plus source { status, error, stale, fetchedAt }
  */
-export async function fetchSuiHistoricalVolume(days = 30) {
-    try {
-        const res = await fetch(`${DEFILLAMA_API}/overview/dexs/sui`);
-        if (!res.ok) throw new Error(`Volume fetch failed: ${res.status}`);
-        const data = await res.json();
-
-        const breakdown = data.totalDataChartBreakdown || [];
-        if (breakdown.length === 0) return { daily: [], totals: {} };
-
-        // Get last N days
-        const recentData = breakdown.slice(-days);
-
-        // Aggregate volume by DEX
-        const totals = {};
-        const daily = recentData.map(([timestamp, volumes]) => {
-            const dayData = { date: new Date(timestamp * 1000).toISOString().split('T')[0] };
-
-            for (const [defiLlamaName, volume] of Object.entries(volumes)) {
-                const ourName = DEX_NAME_MAP[defiLlamaName];
-                if (ourName) {
-                    dayData[ourName] = (volume || 0);
-                    totals[ourName] = (totals[ourName] || 0) + (volume || 0);
-                }
+export async function fetchSuiFees(days = 30, options = {}) {
+    const [source, dexSource] = await Promise.all([
+        fetchOverviewBreakdown('fees', options),
+        fetchOverviewBreakdown('dexs', options),
+    ]);
+    const health = { status: source.status, error: source.error, stale: source.stale, fetchedAt: source.fetchedAt };
+
+    if (!source.data) {
+        console.error('DefiLlama fee fetch failed:', source.error);
+        return { daily: [], totals: {}, daysIncluded: 0, ...health };
+    }
+
+    const breakdown = source.data;
+    if (breakdown.length === 0) return { daily: [], totals: {}, daysIncluded: 0, ...health };
+
+    // Get last N days
+    const recentData = breakdown.slice(-days);
+
+    // DefiLlama names that are DEXs (anything in the volume breakdown)
+    const dexNames = new Set((dexSource.data || []).flatMap(([, volumes]) => Object.keys(volumes)));
+
+    // Aggregate fees by DEX
+    const totals = {};
+    const daily = recentData.map(([timestamp, fees]) => {
+        const dayData = { date: new Date(timestamp * 1000).toISOString().split('T')[0] };
+
+        for (const [defiLlamaName, fee] of Object.entries(fees)) {
+            const ourName = FEE_NAME_TO_DEX[defiLlamaName] || (dexNames.has(defiLlamaName) ? OTHER_DEX : null);
+            if (ourName) {
+                dayData[ourName] = (dayData[ourName] || 0) + (fee || 0);
+                totals[ourName] = (totals[ourName] || 0) + (fee || 0);
             }
-            return dayData;
-        });
+        }
+        return dayData;
+    });
 
-        return { daily, totals, daysIncluded: recentData.length };
-    } catch (e) {
-        console.error('DefiLlama volume fetch failed:', e.message);
-        return { daily: [], totals: {}, daysIncluded: 0 };
-    }
+    return { daily, totals, daysIncluded: recentData.length, ...health };
 }
 
 /**
- * Calculate capital efficiency metrics for all DEXs
- * @param {number} days - Time period in days (1, 7, 30)
- * @returns {Promise<object>} Efficiency metrics by DEX
+ * Fetch historical volume data for Sui DEXs (untracked DEXs summed into OTHER_DEX)
+ * @param {number} days - Number of days to fetch (default 30)
+ * @param {Object} options - Cache options ({ forceRefresh })
+ * @returns {Promise<object>} { daily, totals, daysIncluded } plus source { status, error, stale, fetchedAt }
  */
-export async function calculateEfficiencyMetrics(days = 7) {
-    try {
-        // Fetch all data in parallel
-        const [feeData, volumeData, tvlData] = await Promise.all([
-            fetchSuiFees(days),
-            fetchSuiHistoricalVolume(days),
-            fetchAllSuiDexData(),
-        ]);
-
-        const metrics = {};
-        const dexNames = ['Cetus', 'Bluefin', 'Full Sail'];
-
-        for (const dex of dexNames) {
-            const fees = feeData.totals[dex] || 0;
-            const volume = volumeData.totals[dex] || 0;
-            const tvl = tvlData[dex]?.tvl || 0;
-
-            metrics[dex] = {
-                name: dex,
-                fees,
-                volume,
-                tvl,
-                // Efficiency ratios
-                feeToTvl: tvl > 0 ? (fees / tvl) * 100 : 0, // As percentage
-                feeToVolume: volume > 0 ? (fees / volume) * 100 : 0, // As percentage (fee rate)
-                volumeToTvl: tvl > 0 ? volume / tvl : 0, // Capital turnover
-                // Annualized fee yield
-                annualizedFeeYield: tvl > 0 ? ((fees / days) * 365 / tvl) * 100 : 0,
-            };
-        }
+export async function fetchSuiHistoricalVolume(days = 30, options = {}) {
+    const source = await fetchOverviewBreakdown('dexs', options);
+    const health = { status: source.status, error: source.error, stale: source.stale, fetchedAt: source.fetchedAt };
 
-        return {
-            metrics,
-            period: days,
-            feeData,
-            volumeData,
-        };
-    } catch (e) {
-        console.error('Efficiency metrics calculation failed:', e.message);
-        return { metrics: {}, period: days };
+    if (!source.data) {
+        console.error('DefiLlama volume fetch failed:', source.error);
+        return { daily: [], totals: {}, daysIncluded: 0, ...health };
     }
-}
 
-export { PROTOCOL_SLUGS, DEX_NAME_MAP, PROJECT_TO_DEX, FEE_NAME_MAP };
+    const breakdown = source.data;
+    if (breakdown.length === 0) return { daily: [], totals: {}, daysIncluded: 0, ...health };
 
+    // Get last N days
+    const recentData = breakdown.slice(-days);
 
+    // Aggregate volume by DEX
+    const totals = {};
+    const daily = recentData.map(([timestamp, volumes]) => {
+        const dayData = { date: new Date(timestamp * 1000).toISOString().split('T')[0] };
+
+        for (const [defiLlamaName, volume] of Object.entries(volumes)) {
+            const ourName = VOLUME_NAME_TO_DEX[defiLlamaName] || OTHER_DEX;
+            dayData[ourName] = (dayData[ourName] || 0) + (volume || 0);
+            totals[ourName] = (totals[ourName] || 0) + (volume || 0);
+        }
+        return dayData;
+    });
+
+    return { daily, totals, daysIncluded: recentData.length, ...health };
+}
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Full Sail snapshot CLI (npm run fetch-data)
+ * Fetches the official Full Sail pools through the SDK and writes a JSON snapshot
+ *
+ * Usage:
+ *   npm run fetch-data -- [--pools <ids|file>] [--out <path>] [--format pretty|compact]
+ *                         [--network <name>] [--rpc <url>] [--sdk <module>]
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createFullSailSDK, fetchFullSailPools } from './fullsail-sdk.js';
+
+const DEFAULT_POOLS_FILE = fileURLToPath(new URL('../data/fullsail-pools.json', import.meta.url));
+const DEFAULT_OUT_FILE = 'src/data/fullsail-snapshot.json';
+
+const HELP = `Usage: npm run fetch-data -- [options]
+
+Options:
+  --pools <ids|file>   Comma-separated pool IDs or a JSON file of pools
+                       (default: src/data/fullsail-pools.json)
+  --out <path>         Output file, or "-" for stdout (default: ${DEFAULT_OUT_FILE})
+  --format <format>    pretty | compact (default: pretty)
+  --network <name>     SDK network (default: mainnet-production)
+  --rpc <url>          Sui full node URL (env: FULLSAIL_RPC_URL)
+  --sdk <module>       Module exporting initFullSailSDK, e.g. a local stub
+                       (env: FULLSAIL_SDK_MODULE)
+  -h, --help           Show this help
+`;
+
+/**
+ * Resolve the pool list from a file path or comma-separated IDs
+ * @param {string} poolsArg - --pools value
+ * @returns {Promise<Array>} Array of { name, address }
+ */
+async function loadPoolList(poolsArg) {
+    if (!poolsArg) {
+        return JSON.parse(await readFile(DEFAULT_POOLS_FILE, 'utf8'));
+    }
+
+    if (poolsArg.endsWith('.json')) {
+        const list = JSON.parse(await readFile(resolve(poolsArg), 'utf8'));
+        return list.map(p => (typeof p === 'string' ? { address: p } : p));
+    }
+
+    return poolsArg.split(',').map(id => id.trim()).filter(Boolean).map(address => ({ address }));
+}
+
+/**
+ * Load an injected initFullSailSDK from a module path
+ * @param {string} modulePath - Path to the stub/alternate SDK module
+ * @returns {Promise<Function|undefined>} init function
+ */
+async function loadSdkInit(modulePath) {
+    if (!modulePath) return undefined;
+    const mod = await import(pathToFileURL(resolve(modulePath)).href);
+    const init = mod.initFullSailSDK || mod.default?.initFullSailSDK || mod.default;
+    if (typeof init !== 'function') {
+        throw new Error(`${modulePath} does not export initFullSailSDK`);
+    }
+    return init;
+}
+
+/**
+ * Build a snapshot of the given Full Sail pools
+ * @param {Object} options - Snapshot options
+ * @param {Array} options.pools - Array of { name, address }
+ * @param {string} options.network - SDK network
+ * @param {string} options.fullNodeUrl - Sui RPC endpoint override
+ * @param {Function} options.init - initFullSailSDK replacement
+ * @returns {Promise<object>} Snapshot payload
+ */
+export async function buildSnapshot(options = {}) {
+    const { pools, network = 'mainnet-production', fullNodeUrl, init } = options;
+
+    const sdk = await createFullSailSDK({ network, fullNodeUrl, init });
+    const result = await fetchFullSailPools(sdk, pools.map(p => p.address));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        source: 'fullsail-sdk',
+        network,
+        poolCount: result.pools.length,
+        pools: result.pools,
+        errors: result.errors,
+    };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            pools: { type: 'string' },
+            out: { type: 'string', default: DEFAULT_OUT_FILE },
+            format: { type: 'string', default: 'pretty' },
+            network: { type: 'string', default: 'mainnet-production' },
+            rpc: { type: 'string', default: process.env.FULLSAIL_RPC_URL },
+            sdk: { type: 'string', default: process.env.FULLSAIL_SDK_MODULE },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    if (values.help) {
+        process.stdout.write(HELP);
+        return;
+    }
+
+    if (!['pretty', 'compact'].includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}" (expected pretty or compact)`);
+    }
+
+    const pools = await loadPoolList(values.pools);
+    if (pools.length === 0) throw new Error('No pools to fetch');
+
+    console.error(`[fetch-data] Fetching ${pools.length} Full Sail pools (${values.network})...`);
+
+    const snapshot = await buildSnapshot({
+        pools,
+        network: values.network,
+        fullNodeUrl: values.rpc,
+        init: await loadSdkInit(values.sdk),
+    });
+
+    for (const { id, error } of snapshot.errors) {
+        console.error(`[fetch-data] ${id}: ${error}`);
+    }
+
+    const json = values.format === 'compact'
+        ? JSON.stringify(snapshot)
+        : JSON.stringify(snapshot, null, 2);
+
+    if (values.out === '-') {
+        process.stdout.write(json + '\n');
+    } else {
+        const outPath = resolve(values.out);
+        await mkdir(dirname(outPath), { recursive: true });
+        await writeFile(outPath, json + '\n');
+        console.error(`[fetch-data] Wrote ${snapshot.poolCount} pools to ${outPath}`);
+    }
+
+    if (snapshot.poolCount === 0) process.exitCode = 1;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(e => {
+        console.error('[fetch-data] Failed:', e.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,134 @@
+/**
+ * Full Sail SDK integration
+ * Fetches backend + on-chain pool data through @fullsailfinance/sdk
+ * Shared by the fetch-data CLI and the browser data source
+ */
+
+import { SDK_DEX } from './dex-registry.js';
+
+const DEFAULT_NETWORK = 'mainnet-production';
+
+/**
+ * Create a Full Sail SDK instance
+ * @param {Object} options - SDK options
+ * @param {string} options.network - SDK network (default mainnet-production)
+ * @param {string} options.fullNodeUrl - Optional Sui RPC endpoint override
+ * @param {Function} options.init - Optional initFullSailSDK replacement (for stubs)
+ * @returns {Promise<object>} SDK instance
+ */
+export async function createFullSailSDK(options = {}) {
+    const { network = DEFAULT_NETWORK, fullNodeUrl, init } = options;
+
+    let initFn = init;
+    if (!initFn) {
+        const sdkModule = await import('@fullsailfinance/sdk');
+        initFn = sdkModule.initFullSailSDK;
+    }
+
+    return initFn({
+        network,
+        ...(fullNodeUrl ? { fullNodeUrl } : {}),
+    });
+}
+
+/**
+ * Convert a Q64.64 sqrt price into a human price (token B per token A)
+ * @param {bigint|string|number} sqrtPrice - Q64.64 sqrt price
+ * @param {number} decimalsA - Token A decimals
+ * @param {number} decimalsB - Token B decimals
+ * @returns {number} Price of A denominated in B
+ */
+export function sqrtPriceToPrice(sqrtPrice, decimalsA = 0, decimalsB = 0) {
+    if (sqrtPrice === undefined || sqrtPrice === null) return 0;
+    const ratio = Number(sqrtPrice) / 2 ** 64;
+    if (!isFinite(ratio)) return 0;
+    return ratio * ratio * 10 ** (decimalsA - decimalsB);
+}
+
+/**
+ * Map backend + chain pool entities to our snapshot row format
+ * @param {object} pool - Backend pool from sdk.Pool.getById
+ * @param {object|null} chainPool - Chain pool from sdk.Pool.getByIdFromChain
+ * @returns {object} Pool snapshot row
+ */
+export function mapFullSailPool(pool, chainPool = null) {
+    const stats = pool.dinamic_stats || {};
+    const decimalsA = pool.token_a?.decimals || 0;
+    const decimalsB = pool.token_b?.decimals || 0;
+    const sqrtPrice = chainPool?.currentSqrtPrice ?? pool.current_sqrt_price;
+    const fullApr = pool.full_apr || 0;
+    const baseApr = stats.apr || 0;
+
+    return {
+        id: pool.address,
+        name: pool.name || `${pool.token_a?.symbol}/${pool.token_b?.symbol}`,
+        dex: SDK_DEX,
+        tvl: stats.tvl || 0,
+        volume_24h: stats.volume_usd_24h || 0,
+        volume_7d: stats.volume_usd_7d || 0,
+        volume_30d: stats.volume_usd_30d || 0,
+        fees_24h: stats.fees_usd_24h || 0,
+        fees_7d: stats.fees_usd_7d || 0,
+        fees_30d: stats.fees_usd_30d || 0,
+        fee_source: 'reported',
+        apr: fullApr,
+        apyBase: baseApr,
+        apyReward: Math.max(0, fullApr - baseApr),
+        fee_rate: (pool.fee_data?.fee_rate ?? pool.fee ?? 0) / 100, // SDK reports fee in %
+        gauge_id: pool.gauge_id || null,
+        current_price: sqrtPriceToPrice(sqrtPrice, decimalsA, decimalsB),
+        liquidity: String(chainPool?.liquidity ?? pool.liquidity ?? '0'),
+        token_a: pool.token_a?.symbol || null,
+        token_b: pool.token_b?.symbol || null,
+        coin_type_a: chainPool?.coinTypeA || pool.token_a?.address || null,
+        coin_type_b: chainPool?.coinTypeB || pool.token_b?.address || null,
+        emissions: (pool.rewards || []).map(r => ({
+            token: r.token?.symbol,
+            apr: r.apr || 0,
+            perDay: parseFloat(r.emissions_per_day) || 0,
+        })),
+        is_paused: chainPool?.isPaused ?? pool.is_paused ?? false,
+    };
+}
+
+/**
+ * Fetch a single Full Sail pool (backend + chain)
+ * @param {object} sdk - Full Sail SDK instance
+ * @param {string} poolId - Pool object ID
+ * @returns {Promise<object>} Pool snapshot row
+ */
+export async function fetchFullSailPool(sdk, poolId) {
+    const [pool, chainPool] = await Promise.all([
+        sdk.Pool.getById(poolId),
+        sdk.Pool.getByIdFromChain(poolId).catch(e => {
+            console.warn(`Full Sail chain fetch failed for ${poolId}:`, e.message);
+            return null;
+        }),
+    ]);
+
+    if (!pool) throw new Error(`Pool not found: ${poolId}`);
+    return mapFullSailPool(pool, chainPool);
+}
+
+/**
+ * Fetch a set of Full Sail pools, collecting per-pool failures
+ * @param {object} sdk - Full Sail SDK instance
+ * @param {string[]} poolIds - Pool object IDs
+ * @returns {Promise<object>} { pools, errors }
+ */
+export async function fetchFullSailPools(sdk, poolIds) {
+    const results = await Promise.allSettled(poolIds.map(id => fetchFullSailPool(sdk, id)));
+
+    const pools = [];
+    const errors = [];
+
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            pools.push(result.value);
+        } else {
+            errors.push({ id: poolIds[i], error: result.reason?.message || String(result.reason) });
+        }
+    });
+
+    return { pools, errors };
+}
@@ -0,0 +1,134 @@
+/**
+ * HTTP Client - shared fetch wrapper for all upstream APIs
+ * Coalesces identical in-flight requests, applies timeouts, retries 429/5xx
+ * with exponential backoff and caps the number of concurrent requests.
+ * In Replay mode responses come from the fixture bundle instead.
+ */
+
+import { isReplayActive, getReplayResponse, recordResponse } from './replay.js';
+
+export const HTTP_DEFAULTS = {
+    timeoutMs: 20 * 1000,   // Per attempt
+    retries: 3,             // Extra attempts after the first
+    backoffMs: 500,         // First retry delay, doubled each attempt
+    maxBackoffMs: 8 * 1000,
+    maxConcurrent: 6,       // Across all hosts
+};
+
+const inFlight = new Map();
+const queue = [];
+let active = 0;
+
+/**
+ * Wait for a free concurrency slot
+ */
+function acquireSlot() {
+    if (active < HTTP_DEFAULTS.maxConcurrent) {
+        active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => queue.push(resolve));
+}
+
+function releaseSlot() {
+    const next = queue.shift();
+    if (next) next();
+    else active--;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the server sends one,
+ * otherwise exponential backoff with jitter
+ */
+function retryDelay(attempt, res) {
+    const retryAfter = parseFloat(res?.headers?.get('retry-after'));
+    if (!isNaN(retryAfter)) return Math.min(retryAfter * 1000, HTTP_DEFAULTS.maxBackoffMs);
+
+    const base = HTTP_DEFAULTS.backoffMs * 2 ** attempt;
+    return Math.min(base + Math.random() * base * 0.25, HTTP_DEFAULTS.maxBackoffMs);
+}
+
+/**
+ * Single attempt with a timeout (holds a concurrency slot while running)
+ */
+async function attemptFetch(url, timeoutMs) {
+    await acquireSlot();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } catch (e) {
+        if (e.name === 'AbortError') throw new Error(`Request timed out after ${timeoutMs}ms: ${url}`);
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        releaseSlot();
+    }
+}
+
+async function requestJson(url, { timeoutMs, retries }) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        let res = null;
+        try {
+            res = await attemptFetch(url, timeoutMs);
+            if (res.ok) return await res.json();
+
+            lastError = new Error(`${url} failed: ${res.status}`);
+            lastError.status = res.status;
+            if (!isRetryable(res.status)) throw lastError;
+        } catch (e) {
+            // Non-retryable HTTP status: give up immediately
+            if (e.status && !isRetryable(e.status)) throw e;
+            lastError = e;
+        }
+
+        if (attempt < retries) {
+            const delay = retryDelay(attempt, res);
+            console.warn(`[HTTP] Retrying ${url} in ${Math.round(delay)}ms (${lastError.message})`);
+            await sleep(delay);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * GET a JSON endpoint. Identical concurrent calls share one request.
+ * Served from the fixture bundle while replaying; captured while recording.
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {number} options.timeoutMs - Per-attempt timeout (default HTTP_DEFAULTS.timeoutMs)
+ * @param {number} options.retries - Retries on network errors / 429 / 5xx (default HTTP_DEFAULTS.retries)
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {Error} With `status` set for HTTP errors
+ */
+export function fetchJson(url, options = {}) {
+    if (isReplayActive()) return getReplayResponse(url);
+    if (inFlight.has(url)) return inFlight.get(url);
+
+    const {
+        timeoutMs = HTTP_DEFAULTS.timeoutMs,
+        retries = HTTP_DEFAULTS.retries,
+    } = options;
+
+    const promise = requestJson(url, { timeoutMs, retries })
+        .then(json => {
+            recordResponse(url, json);
+            return json;
+        })
+        .finally(() => inFlight.delete(url));
+
+    inFlight.set(url, promise);
+    return promise;
+}
+
+export default { fetchJson, HTTP_DEFAULTS };
@@ -0,0 +1,43 @@
+/**
+ * Market share
+ * Turns per-DEX daily rows ({ date, [dex]: value }) into share-of-total rows
+ * for the 100% stacked views. Fees and volume rows carry an OTHER_DEX bucket
+ * (untracked Sui DEXs from the DefiLlama breakdowns); TVL rows do not, so TVL
+ * share is among the tracked DEXs only.
+ */
+
+import { DEX_NAMES, OTHER_DEX } from './dex-registry.js';
+
+/**
+ * Convert daily value rows to share-of-total rows
+ * @param {Array} rows - Daily rows keyed by DEX name (OTHER_DEX optional)
+ * @returns {Object} { rows: [{ date, total, [key]: share 0..1 }], keys: series with data, hasOther }
+ */
+export function toShareRows(rows) {
+    const keys = [...DEX_NAMES, OTHER_DEX].filter(key => rows.some(row => row[key] > 0));
+
+    const shareRows = [];
+    for (const row of rows) {
+        const total = keys.reduce((sum, key) => sum + (row[key] > 0 ? row[key] : 0), 0);
+        if (total <= 0) continue;
+
+        const shareRow = { date: row.date, total };
+        for (const key of keys) shareRow[key] = row[key] > 0 ? row[key] / total : 0;
+        shareRows.push(shareRow);
+    }
+
+    return { rows: shareRows, keys, hasOther: keys.includes(OTHER_DEX) };
+}
+
+/**
+ * Share of one series at the start and end of the range
+ * @param {Array} shareRows - Rows from toShareRows
+ * @param {string} key - DEX name
+ * @returns {Object|null} { from, to, change } as fractions (change in share points), or null without data
+ */
+export function shareChange(shareRows, key) {
+    if (!shareRows.length) return null;
+    const from = shareRows[0][key] || 0;
+    const to = shareRows[shareRows.length - 1][key] || 0;
+    return { from, to, change: to - from };
+}
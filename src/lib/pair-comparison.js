@@ -0,0 +1,134 @@
+/**
+ * Same-pair venue comparison
+ * Groups pool rows by canonical pair (pool-pairs.js) across DEXs and fee
+ * tiers, marks the best venue on each metric and measures Full Sail's gap to
+ * the best competing pool, to answer "which DEX is the better venue for X/Y?".
+ *
+ * Metrics use the current (24h) pool row fields; base / reward APR are only
+ * known for sources that split them (DefiLlama, Full Sail SDK).
+ */
+
+import { SDK_DEX } from './dex-registry.js';
+import { poolPair } from './pool-pairs.js';
+
+// Comparison metrics (values are what venueMetrics returns per pool)
+export const PAIR_METRICS = [
+    {
+        key: 'tvl',
+        label: 'TVL',
+        unit: '$',
+        description: 'Liquidity in the pool. Deeper pools give lower price impact.',
+    },
+    {
+        key: 'volume',
+        label: 'Volume 24h',
+        unit: '$',
+        description: 'Volume traded through the pool in the last 24 hours.',
+    },
+    {
+        key: 'feeToTvl',
+        label: 'Fee / TVL',
+        unit: '%',
+        description: '24h fees × 365 ÷ TVL. The annualized fee return on each dollar of liquidity.',
+    },
+    {
+        key: 'baseApr',
+        label: 'Base APR',
+        unit: '%',
+        description: 'LP yield from trading fees, as reported by the source.',
+    },
+    {
+        key: 'rewardApr',
+        label: 'Reward APR',
+        unit: '%',
+        description: 'LP yield from incentive emissions, on top of the base APR.',
+    },
+    {
+        key: 'turnover',
+        label: 'Turnover',
+        unit: 'x',
+        description: '24h volume ÷ TVL. How many times the liquidity was traded through in a day.',
+    },
+];
+
+/**
+ * Comparison metrics for one pool (null when the source has no value)
+ * @param {Object} pool - Pool row
+ */
+export function venueMetrics(pool) {
+    const tvl = pool.tvl || 0;
+    const volume = pool.volume_24h || 0;
+    return {
+        tvl,
+        volume,
+        feeToTvl: tvl > 0 ? ((pool.fees_24h || 0) * 365 / tvl) * 100 : null,
+        baseApr: Number.isFinite(pool.apyBase) ? pool.apyBase : null,
+        rewardApr: Number.isFinite(pool.apyReward) ? pool.apyReward : null,
+        turnover: tvl > 0 ? volume / tvl : null,
+    };
+}
+
+// Pool with the highest value of a metric (null when none has a positive value)
+function bestVenue(venues, key) {
+    let best = null;
+    for (const venue of venues) {
+        const value = venue.metrics[key];
+        if (value > 0 && (!best || value > best.metrics[key])) best = venue;
+    }
+    return best;
+}
+
+/**
+ * Full Sail's gap to the best competing pool, per metric
+ * Full Sail's best pool on the metric is compared with the best pool of any
+ * other DEX; gap = (Full Sail - competitor) / competitor (negative = behind).
+ * @param {Array} venues - Venues of one pair
+ * @returns {Object|null} { [metric]: { fullSail, competitor, gap } }, or null without a Full Sail pool
+ */
+function fullSailGaps(venues) {
+    const own = venues.filter(venue => venue.pool.dex === SDK_DEX);
+    if (!own.length) return null;
+    const others = venues.filter(venue => venue.pool.dex !== SDK_DEX);
+
+    return Object.fromEntries(PAIR_METRICS.map(({ key }) => {
+        const fullSail = bestVenue(own, key);
+        const competitor = bestVenue(others, key);
+        const gap = fullSail && competitor
+            ? (fullSail.metrics[key] - competitor.metrics[key]) / competitor.metrics[key]
+            : null;
+        return [key, { fullSail, competitor, gap }];
+    }));
+}
+
+/**
+ * Group pools by canonical pair and compare the venues of each pair
+ * @param {Array} pools - Pool rows (with `pair` from poolPair, else it is parsed)
+ * @param {Object} options - { minDexes: pairs listed on fewer DEXs are left out (default 2) }
+ * @returns {Array} [{ key, pair, venues: [{ pool, metrics }], dexes, tvl, winners: { [metric]: pool id }, gaps }]
+ *   sorted by total TVL; venues sorted by TVL
+ */
+export function comparePairs(pools, options = {}) {
+    const { minDexes = 2 } = options;
+    const groups = new Map();
+    for (const pool of pools) {
+        const pair = pool.pair || poolPair(pool);
+        if (!pair.key || pair.tokens.length < 2) continue;
+        if (!groups.has(pair.key)) groups.set(pair.key, { key: pair.key, pair, venues: [] });
+        groups.get(pair.key).venues.push({ pool, metrics: venueMetrics(pool) });
+    }
+
+    return [...groups.values()]
+        .map(group => {
+            const venues = group.venues.sort((a, b) => b.metrics.tvl - a.metrics.tvl);
+            return {
+                ...group,
+                venues,
+                dexes: [...new Set(venues.map(venue => venue.pool.dex))],
+                tvl: venues.reduce((sum, venue) => sum + venue.metrics.tvl, 0),
+                winners: Object.fromEntries(PAIR_METRICS.map(({ key }) => [key, bestVenue(venues, key)?.pool.id ?? null])),
+                gaps: fullSailGaps(venues),
+            };
+        })
+        .filter(group => group.dexes.length >= minDexes)
+        .sort((a, b) => b.tvl - a.tvl);
+}
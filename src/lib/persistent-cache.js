@@ -0,0 +1,175 @@
+/**
+ * Persistent Cache - stale-while-revalidate over localStorage
+ * Returns the last good value instantly and refreshes it in the background
+ * once it is older than its endpoint's TTL
+ */
+
+import { isReplayActive, isRecording } from './replay.js';
+
+const STORAGE_PREFIX = 'sui-dex-cache:';
+
+// TTL per endpoint (ms). Override with setCacheTTL().
+export const CACHE_TTLS = {
+    'pool-data': 5 * 60 * 1000,
+    'yields-pools': 10 * 60 * 1000,
+    'pool-chart': 60 * 60 * 1000,
+    'dex-overview': 30 * 60 * 1000,
+    'fees-overview': 30 * 60 * 1000,
+    'protocol-tvl': 30 * 60 * 1000,
+    'protocol-history': 60 * 60 * 1000,
+    // Pool fee tiers almost never change
+    'fee-tiers': 24 * 60 * 60 * 1000,
+    default: 5 * 60 * 1000,
+};
+
+const memory = new Map();
+const revalidating = new Map();
+const listeners = new Map();
+
+/**
+ * Override the TTL for an endpoint
+ * @param {string} endpoint - Key in CACHE_TTLS
+ * @param {number} ttlMs - Time to live in ms
+ */
+export function setCacheTTL(endpoint, ttlMs) {
+    CACHE_TTLS[endpoint] = ttlMs;
+}
+
+function getStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read a cache entry (memory first, then localStorage)
+ * @param {string} key - Cache key
+ * @returns {Object|null} { data, fetchedAt }
+ */
+export function readCache(key) {
+    if (memory.has(key)) return memory.get(key);
+
+    const raw = getStorage()?.getItem(STORAGE_PREFIX + key);
+    if (!raw) return null;
+
+    try {
+        const entry = JSON.parse(raw);
+        memory.set(key, entry);
+        return entry;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write a cache entry. Falls back to memory only when storage is full.
+ * @param {string} key - Cache key
+ * @param {*} data - JSON-serializable value
+ * @returns {Object} The stored entry
+ */
+export function writeCache(key, data) {
+    const entry = { data, fetchedAt: Date.now() };
+    memory.set(key, entry);
+
+    try {
+        getStorage()?.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (e) {
+        console.warn(`[Cache] Could not persist ${key}:`, e.message);
+    }
+
+    return entry;
+}
+
+/**
+ * Remove cache entries whose key starts with a prefix (all entries if omitted)
+ * @param {string} prefix - Key prefix
+ */
+export function clearPersistentCache(prefix = '') {
+    for (const key of [...memory.keys()]) {
+        if (key.startsWith(prefix)) memory.delete(key);
+    }
+
+    const storage = getStorage();
+    if (!storage) return;
+    for (let i = storage.length - 1; i >= 0; i--) {
+        const key = storage.key(i);
+        if (key?.startsWith(STORAGE_PREFIX + prefix)) storage.removeItem(key);
+    }
+}
+
+/**
+ * Subscribe to background revalidation results for a key
+ * @param {string} key - Cache key
+ * @param {Function} listener - (data, entry) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeCache(key, listener) {
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => listeners.get(key)?.delete(listener);
+}
+
+function revalidate(key, loader) {
+    if (revalidating.has(key)) return revalidating.get(key);
+
+    const promise = loader()
+        .then(data => {
+            const entry = writeCache(key, data);
+            for (const listener of listeners.get(key) || []) listener(data, entry);
+            return entry;
+        })
+        .finally(() => revalidating.delete(key));
+
+    revalidating.set(key, promise);
+    return promise;
+}
+
+/**
+ * Stale-while-revalidate read
+ * - fresh entry: returned as-is
+ * - stale entry: returned immediately, refreshed in the background
+ * - no entry / forceRefresh: loader is awaited
+ * If the loader fails and any entry exists, the stale entry is returned
+ * along with the error message.
+ * @param {string} key - Cache key
+ * @param {string} endpoint - Endpoint name for TTL lookup
+ * @param {Function} loader - async () => data (throws on failure)
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Ignore the cached entry
+ * @param {boolean} options.allowStale - Return stale entries (false = await refresh)
+ * @returns {Promise<Object>} { data, fetchedAt, stale, cached, error }
+ */
+export async function swr(key, endpoint, loader, options = {}) {
+    const { forceRefresh = false, allowStale = true } = options;
+
+    // Replayed and recorded sessions must hit the loader and must not mix with live cache entries
+    if (isReplayActive() || isRecording()) {
+        return { data: await loader(), fetchedAt: Date.now(), stale: false, cached: false };
+    }
+
+    const ttl = CACHE_TTLS[endpoint] ?? CACHE_TTLS.default;
+    const entry = readCache(key);
+
+    if (entry && !forceRefresh) {
+        const age = Date.now() - entry.fetchedAt;
+        if (age < ttl) return { ...entry, stale: false, cached: true };
+    }
+
+    if (entry && !forceRefresh && allowStale) {
+        revalidate(key, loader).catch(e => console.warn(`[Cache] Revalidation failed for ${key}:`, e.message));
+        return { ...entry, stale: true, cached: true };
+    }
+
+    try {
+        const fresh = await revalidate(key, loader);
+        return { ...fresh, stale: false, cached: false };
+    } catch (e) {
+        if (entry) {
+            console.warn(`[Cache] Using stale ${key} after fetch failure:`, e.message);
+            return { ...entry, stale: true, cached: true, error: e.message };
+        }
+        throw e;
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Pool detail helpers
+ * Explorer / DEX app links and token composition for the pool detail drawer.
+ * Rows differ by source: SDK rows carry token symbols and coin types, yields
+ * rows carry underlying coin types, native API rows only a name and address.
+ */
+
+import { dexPoolUrl } from './dex-registry.js';
+
+// Sui explorer used for object and coin links
+export const SUI_EXPLORER_URL = 'https://suiscan.xyz/mainnet';
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]+$/i;
+
+/**
+ * On-chain pool object id, or null when the source has none (yields rows are
+ * keyed by a DefiLlama id unless hybrid mode matched an SDK pool)
+ */
+export function poolAddress(pool) {
+    if (pool.address) return pool.address;
+    return ADDRESS_PATTERN.test(String(pool.id)) ? pool.id : null;
+}
+
+/**
+ * Explorer URL for an object (pool) id
+ */
+export function explorerObjectUrl(id) {
+    return `${SUI_EXPLORER_URL}/object/${id}`;
+}
+
+/**
+ * Explorer URL for a coin type
+ */
+export function explorerCoinUrl(coinType) {
+    return `${SUI_EXPLORER_URL}/coin/${coinType}`;
+}
+
+/**
+ * External links for a pool
+ * @param {Object} pool - Pool row
+ * @returns {Object} { explorer: url | null, app: url | null }
+ */
+export function poolLinks(pool) {
+    const address = poolAddress(pool);
+    return {
+        explorer: address ? explorerObjectUrl(address) : null,
+        app: dexPoolUrl(pool.dex, address),
+    };
+}
+
+/**
+ * Tokens of a pool, in pair order
+ * Symbols come from the row's token fields or its name ("SUI-USDC",
+ * "SUI/USDC"); coin types from the SDK fields or the yields underlying tokens.
+ * @param {Object} pool - Pool row
+ * @returns {Array} [{ symbol, coinType: string | null }]
+ */
+export function poolTokens(pool) {
+    const symbols = pool.token_a && pool.token_b
+        ? [pool.token_a, pool.token_b]
+        : (pool.name || '').split(/[-/\s]+/).filter(Boolean);
+    const coinTypes = pool.coin_type_a || pool.coin_type_b
+        ? [pool.coin_type_a, pool.coin_type_b]
+        : pool.underlying_tokens || [];
+
+    return symbols.map((symbol, i) => ({ symbol, coinType: coinTypes[i] || null }));
+}
@@ -0,0 +1,219 @@
+/**
+ * Pool-level history and rolling windows
+ * Fetches per-pool daily history from the DefiLlama yields /chart endpoint (or
+ * the local snapshot store) and computes true trailing 7d / 30d sums and averages
+ */
+
+import { fetchJson } from './http-client.js';
+import { recordSourceHealth, SOURCE_STATUS } from './source-health.js';
+import { validatePayload } from './schema.js';
+import { isReplayActive, isRecording } from './replay.js';
+import { UPSTREAMS } from './upstreams.js';
+import { getPoolSeries } from './snapshot-store.js';
+
+// History is daily; an hour is plenty fresh
+const HISTORY_TTL_MS = 60 * 60 * 1000;
+// Cap on /chart requests per load (largest pools by TVL first)
+const MAX_HISTORY_POOLS = 100;
+const HISTORY_CONCURRENCY = 6;
+
+export const ROLLING_WINDOWS = [
+    { key: '7d', days: 7 },
+    { key: '30d', days: 30 },
+];
+
+const historyCache = new Map();
+
+/**
+ * Whether a pool has DefiLlama yields /chart history
+ * Only yields pools (non-address ids) do; SDK and native API rows are keyed by
+ * the on-chain pool address.
+ */
+export function hasPoolHistory(pool) {
+    return !!pool?.id && !String(pool.id).startsWith('0x');
+}
+
+/**
+ * Fetch daily history for a DefiLlama yields pool
+ * @param {string} poolId - DefiLlama yields pool id
+ * @returns {Promise<Array>} Daily points { date, tvl, apy, apyBase, apyReward, volume }
+ * @throws {Error} When the /chart request or its payload fails
+ */
+export async function loadPoolHistory(poolId) {
+    // Replayed / recorded sessions always go through fetchJson
+    const useCache = !isReplayActive() && !isRecording();
+    const cached = useCache && historyCache.get(poolId);
+    if (cached && (Date.now() - cached.timestamp) < HISTORY_TTL_MS) return cached.data;
+
+    const json = await fetchJson(`${UPSTREAMS.defillamaYields}/chart/${poolId}`);
+    const { items } = validatePayload('yieldsChart', json);
+
+    // One point per day (keep the latest reading of each day)
+    const byDate = {};
+    for (const point of items) {
+        const date = new Date(point.timestamp).toISOString().split('T')[0];
+        byDate[date] = {
+            date,
+            tvl: point.tvlUsd || 0,
+            apy: point.apy || 0,
+            apyBase: point.apyBase || 0,
+            apyReward: point.apyReward || 0,
+            volume: typeof point.volumeUsd1d === 'number' ? point.volumeUsd1d : null,
+        };
+    }
+
+    const data = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+    if (useCache) historyCache.set(poolId, { data, timestamp: Date.now() });
+    return data;
+}
+
+/**
+ * Daily history for a pool from the local snapshot store (any pool id, any live mode)
+ * Keeps the last snapshot of each day; volume is that snapshot's 24h volume.
+ * @param {string} poolId - Pool id as stored by saveSnapshot
+ * @returns {Promise<Array>} Daily points { date, tvl, apy, apyBase, apyReward, volume }
+ */
+export async function loadSnapshotPoolHistory(poolId) {
+    const points = await getPoolSeries(poolId);
+    const byDate = {};
+    for (const point of points) {
+        const date = new Date(point.timestamp).toISOString().split('T')[0];
+        byDate[date] = {
+            date,
+            tvl: point.tvl,
+            apy: point.apr,
+            apyBase: point.apyBase,
+            apyReward: point.apyReward,
+            volume: point.volume_24h,
+        };
+    }
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Compute a trailing window from daily history
+ * Daily fees are volume × fee rate when volume is known, otherwise the fee
+ * APR (apyBase) applied to that day's TVL.
+ * @param {Array} history - Daily points (ascending)
+ * @param {number} days - Window length
+ * @param {number|null} feeRate - Pool fee tier as a fraction
+ * @returns {Object} { days, complete, volume, volumeImplied, fees, tvlAvg, aprAvg }
+ */
+export function computeWindow(history, days, feeRate = null) {
+    const points = history.slice(-days);
+    if (points.length === 0) {
+        return { days: 0, complete: false, volume: null, volumeImplied: false, fees: null, tvlAvg: null, aprAvg: null };
+    }
+
+    const dailyFees = points.map(p => (
+        p.volume !== null && feeRate ? p.volume * feeRate : p.tvl * p.apyBase / 100 / 365
+    ));
+    const fees = dailyFees.reduce((sum, f) => sum + f, 0);
+
+    let volume = null;
+    const volumeImplied = points.some(p => p.volume === null);
+    if (!volumeImplied) {
+        volume = points.reduce((sum, p) => sum + p.volume, 0);
+    } else if (feeRate) {
+        // Volume implied by fee revenue at the pool's fee tier
+        volume = fees / feeRate;
+    }
+
+    return {
+        days: points.length,
+        complete: points.length >= days,
+        volume,
+        volumeImplied,
+        fees,
+        tvlAvg: points.reduce((sum, p) => sum + p.tvl, 0) / points.length,
+        aprAvg: points.reduce((sum, p) => sum + p.apy, 0) / points.length,
+    };
+}
+
+/**
+ * Run async tasks with a concurrency cap
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i]);
+        }
+    });
+
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Replace 7d / 30d pool metrics with trailing aggregates from history.
+ * Pools whose source already reports real windows (Full Sail SDK) are kept;
+ * pools without enough history are listed in partial_windows. Pools with no
+ * history at all (outside the MAX_HISTORY_POOLS largest, or a failed /chart
+ * request) get null window fees and are listed in missing_windows.
+ * @param {Array} pools - Normalized pool rows
+ * @returns {Promise<Array>} Pools with volume/fees/tvl_avg/apr_avg per window
+ */
+export async function applyRollingWindows(pools) {
+    const eligible = pools
+        .filter(p => hasPoolHistory(p) && p.fee_source !== 'reported')
+        .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
+        .slice(0, MAX_HISTORY_POOLS);
+
+    const start = Date.now();
+    const failures = [];
+    const histories = await mapWithConcurrency(eligible, HISTORY_CONCURRENCY, p => (
+        loadPoolHistory(p.id).catch(e => {
+            failures.push(e.message);
+            return [];
+        })
+    ));
+
+    if (eligible.length > 0) {
+        const allFailed = failures.length === eligible.length;
+        recordSourceHealth('defillama:pool-chart', {
+            label: 'DefiLlama pool history',
+            status: allFailed ? SOURCE_STATUS.ERROR : failures.length ? SOURCE_STATUS.PARTIAL : SOURCE_STATUS.OK,
+            latencyMs: Date.now() - start,
+            error: failures.length ? `${failures.length} of ${eligible.length} pool histories failed (${failures[0]})` : null,
+            fetchedAt: Date.now(),
+            count: eligible.length - failures.length,
+        });
+    }
+    const historyById = new Map(eligible.map((p, i) => [p.id, histories[i]]));
+
+    return pools.map(pool => {
+        if (pool.fee_source === 'reported') {
+            return { ...pool, history_days: null, partial_windows: [], missing_windows: [] };
+        }
+
+        const history = historyById.get(pool.id) || [];
+        const result = { ...pool, history_days: history.length, partial_windows: [], missing_windows: [] };
+
+        for (const { key, days } of ROLLING_WINDOWS) {
+            const window = computeWindow(history, days, pool.fee_rate);
+
+            // Not computed: null rather than 0, so it doesn't sort or export as a real zero
+            if (window.days === 0) {
+                result.missing_windows.push(key);
+                result[`fees_${key}`] = null;
+                if (!(pool[`volume_${key}`] > 0)) result[`volume_${key}`] = null;
+                continue;
+            }
+            if (!window.complete) result.partial_windows.push(key);
+
+            result[`fees_${key}`] = window.fees;
+            result[`tvl_avg_${key}`] = window.tvlAvg;
+            result[`apr_avg_${key}`] = window.aprAvg;
+            // Prefer a reported volume (e.g. DefiLlama volumeUsd7d) over one implied from fees
+            if (window.volume !== null && !(window.volumeImplied && pool[`volume_${key}`] > 0)) {
+                result[`volume_${key}`] = window.volume;
+            }
+        }
+
+        return result;
+    });
+}
@@ -0,0 +1,85 @@
+/**
+ * Pool pairs
+ * Parses pool rows into canonical pairs (token-registry.js) and builds the
+ * pair / token / category filter options from the loaded pools.
+ *
+ * Filter values: 'all' | 'pair:<KEY>' | 'token:<SYMBOL>' | 'category:<key>'
+ */
+
+import { canonicalPair, categoryLabel, TOKEN_CATEGORIES } from './token-registry.js';
+import { poolTokens } from './pool-detail.js';
+
+// Pair options listed in the filter (largest by TVL); every token is listed
+const MAX_PAIR_OPTIONS = 30;
+
+/**
+ * Canonical pair of a pool row
+ * @param {Object} pool - Pool row
+ * @returns {Object} { key, tokens, base, quote } (see canonicalPair)
+ */
+export function poolPair(pool) {
+    return canonicalPair(poolTokens(pool));
+}
+
+/**
+ * Pair / token / category filter options for a set of pools
+ * @param {Array} pools - Pool rows with `pair` (from poolPair)
+ * @returns {Object} { pairs, tokens, categories }: [{ value, label, count, tvl }] sorted by TVL
+ */
+export function pairFilterOptions(pools) {
+    const pairs = new Map();
+    const tokens = new Map();
+    const categories = new Map();
+    const add = (index, value, label, pool) => {
+        if (!index.has(value)) index.set(value, { value, label, count: 0, tvl: 0 });
+        const option = index.get(value);
+        option.count++;
+        option.tvl += pool.tvl || 0;
+    };
+
+    for (const pool of pools) {
+        if (!pool.pair?.key) continue;
+        add(pairs, `pair:${pool.pair.key}`, pool.pair.key, pool);
+        for (const symbol of new Set(pool.pair.tokens.map(token => token.symbol))) {
+            add(tokens, `token:${symbol}`, `All ${symbol} pairs`, pool);
+        }
+        for (const category of new Set(pool.pair.tokens.map(token => token.category))) {
+            add(categories, `category:${category}`, `${categoryLabel(category)} pools`, pool);
+        }
+    }
+
+    const byTvl = (a, b) => b.tvl - a.tvl || b.count - a.count;
+    const categoryOrder = TOKEN_CATEGORIES.map(category => `category:${category.key}`);
+    return {
+        pairs: [...pairs.values()].sort(byTvl).slice(0, MAX_PAIR_OPTIONS),
+        tokens: [...tokens.values()].sort(byTvl),
+        categories: [...categories.values()].sort((a, b) => categoryOrder.indexOf(a.value) - categoryOrder.indexOf(b.value)),
+    };
+}
+
+/**
+ * Whether a pool's pair matches a filter value
+ * @param {Object} pair - Pool pair (from poolPair)
+ * @param {string} filter - Filter value
+ */
+export function matchesPairFilter(pair, filter) {
+    if (!filter || filter === 'all') return true;
+    const [kind, ...rest] = filter.split(':');
+    const value = rest.join(':');
+    if (kind === 'pair') return pair.key === value;
+    if (kind === 'token') return pair.tokens.some(token => token.symbol === value);
+    if (kind === 'category') return pair.tokens.some(token => token.category === value);
+    return true;
+}
+
+/**
+ * Display label for a filter value
+ */
+export function pairFilterLabel(filter) {
+    if (!filter || filter === 'all') return 'All Pairs';
+    const [kind, ...rest] = filter.split(':');
+    const value = rest.join(':');
+    if (kind === 'token') return `All ${value} pairs`;
+    if (kind === 'category') return `${categoryLabel(value)} pools`;
+    return value;
+}
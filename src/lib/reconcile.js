@@ -0,0 +1,163 @@
+/**
+ * Cross-source reconciliation
+ * Matches the same pool across data sources and reports per-metric divergence
+ */
+
+import { fetchPoolData, DATA_SOURCE_MODES } from './data-source.js';
+import { poolPair } from './pool-pairs.js';
+
+// Metrics compared across sources
+export const RECONCILED_METRICS = [
+    { key: 'tvl', label: 'TVL' },
+    { key: 'volume_24h', label: 'Volume 24h' },
+    { key: 'apr', label: 'APR' },
+];
+
+// Default relative tolerance before a metric is flagged (10%)
+export const DEFAULT_TOLERANCE = 0.1;
+
+/**
+ * Normalize a pool address for matching (lowercase, drop "-sui" style suffixes)
+ */
+function addressKey(pool) {
+    const raw = pool.address || pool.pool_address || pool.id;
+    if (typeof raw !== 'string' || !raw.startsWith('0x')) return null;
+    return raw.toLowerCase().split('-')[0];
+}
+
+/**
+ * Canonical pair key scoped to a DEX (fallback matching)
+ */
+function pairKey(pool) {
+    return `${pool.dex}:${poolPair(pool).key}`;
+}
+
+/**
+ * Compare metric values from several sources
+ * @param {Object} values - { [source]: number }
+ * @returns {Object} { abs, rel }
+ */
+function compareValues(values) {
+    const nums = Object.values(values).filter(v => typeof v === 'number' && !isNaN(v));
+    if (nums.length < 2) return { abs: 0, rel: 0 };
+
+    const min = Math.min(...nums);
+    const max = Math.max(...nums);
+    const abs = max - min;
+    const scale = Math.max(Math.abs(min), Math.abs(max));
+
+    return { abs, rel: scale > 0 ? abs / scale : 0 };
+}
+
+/**
+ * Reconcile pools across sources
+ * Pools are matched by address (pool.address / pool.pool_address / pool.id);
+ * pools without an on-chain address fall back to a unique DEX + pair match.
+ * @param {Object} sourcePools - { [sourceName]: Array<pool> }
+ * @param {Object} options - Reconciliation options
+ * @param {number} options.tolerance - Relative divergence allowed per metric (0.1 = 10%)
+ * @returns {Object} { rows, summary, tolerance }
+ */
+export function reconcilePools(sourcePools, options = {}) {
+    const { tolerance = DEFAULT_TOLERANCE } = options;
+    const sources = Object.keys(sourcePools);
+    const groups = new Map();
+
+    // Index pools by address first
+    const byPair = {};
+    for (const source of sources) {
+        for (const pool of sourcePools[source] || []) {
+            const address = addressKey(pool);
+            if (address) {
+                if (!groups.has(address)) groups.set(address, { key: address, matchedBy: 'address', pools: {} });
+                groups.get(address).pools[source] = pool;
+            } else {
+                const key = pairKey(pool);
+                (byPair[key] = byPair[key] || []).push({ source, pool });
+            }
+        }
+    }
+
+    // Attach address-less pools to an address group when the DEX + pair is unambiguous
+    for (const [key, entries] of Object.entries(byPair)) {
+        const candidates = [...groups.values()].filter(g =>
+            Object.values(g.pools).some(p => pairKey(p) === key));
+
+        for (const { source, pool } of entries) {
+            const sameSource = entries.filter(e => e.source === source).length;
+            const target = candidates.length === 1 && sameSource === 1 && !candidates[0].pools[source]
+                ? candidates[0]
+                : null;
+
+            if (target) {
+                target.pools[source] = pool;
+                target.matchedBy = 'pair';
+            } else {
+                const fallbackKey = `${source}:${pool.id}`;
+                groups.set(fallbackKey, { key: fallbackKey, matchedBy: null, pools: { [source]: pool } });
+            }
+        }
+    }
+
+    const rows = [...groups.values()].map(group => {
+        const present = Object.keys(group.pools);
+        const first = group.pools[present[0]];
+        const values = {};
+        const deltas = {};
+        const diverged = [];
+
+        for (const { key } of RECONCILED_METRICS) {
+            values[key] = Object.fromEntries(present.map(s => [s, group.pools[s][key] || 0]));
+            deltas[key] = compareValues(values[key]);
+            if (present.length > 1 && deltas[key].rel > tolerance) diverged.push(key);
+        }
+
+        let status = 'ok';
+        if (present.length < 2) status = 'single-source';
+        else if (diverged.length > 0) status = 'diverged';
+
+        return {
+            key: group.key,
+            name: first.name,
+            dex: first.dex,
+            matchedBy: present.length > 1 ? group.matchedBy : null,
+            sources: present,
+            values,
+            deltas,
+            diverged,
+            status,
+        };
+    });
+
+    const unmatched = Object.fromEntries(sources.map(s => [
+        s, rows.filter(r => r.status === 'single-source' && r.sources[0] === s).length,
+    ]));
+
+    return {
+        rows,
+        tolerance,
+        sources,
+        summary: {
+            matched: rows.filter(r => r.status !== 'single-source').length,
+            diverged: rows.filter(r => r.status === 'diverged').length,
+            unmatched,
+        },
+    };
+}
+
+/**
+ * Fetch the pool lists compared by the reconciliation report
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Bypass data source cache
+ * @returns {Promise<object>} { DefiLlama: Array, Native: Array }
+ */
+export async function fetchReconciliationSources(options = {}) {
+    const { forceRefresh = false } = options;
+
+    const [llama, direct] = await Promise.all([
+        fetchPoolData({ mode: DATA_SOURCE_MODES.DEFILLAMA, forceRefresh }),
+        fetchPoolData({ mode: DATA_SOURCE_MODES.DIRECT, forceRefresh }),
+    ]);
+
+    return { DefiLlama: llama.pools, Native: direct.pools };
+}
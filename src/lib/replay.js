@@ -0,0 +1,190 @@
+/**
+ * Replay - offline fixture bundles
+ * Records upstream responses (HTTP JSON by URL, Full Sail SDK pools) from a
+ * live session into a bundle, and serves them back in Replay mode so the
+ * dashboard runs offline with deterministic numbers.
+ *
+ * Bundle: { version, recordedAt, mode, responses: { [url | key]: json } }
+ */
+
+import { saveStoredFixture, getStoredFixture } from './snapshot-store.js';
+import { UPSTREAMS } from './upstreams.js';
+
+export const FIXTURE_VERSION = 1;
+
+// Served when no bundle has been loaded in this browser (place a recorded bundle there;
+// none is shipped with the repo)
+export const DEFAULT_FIXTURE_PATH = 'fixtures/replay.json';
+
+// Start of the error thrown when neither a loaded bundle nor the default file exists
+const NO_FIXTURE_MESSAGE = 'No fixture bundle loaded';
+
+// Non-HTTP responses recorded under a fixed key
+export const REPLAY_KEYS = {
+    SDK_POOLS: 'sdk:pools',
+};
+
+// Large payloads are trimmed to what the dashboard reads before recording
+const RECORD_TRIMS = [
+    {
+        // The yields /pools payload covers every chain; keep the Sui rows
+        match: (key) => key === `${UPSTREAMS.defillamaYields}/pools`,
+        trim: (json) => (Array.isArray(json?.data) ? { ...json, data: json.data.filter(p => p?.chain === 'Sui') } : json),
+    },
+];
+
+let replayActive = false;
+let bundlePromise = null;
+let recording = null;
+
+/**
+ * Turn replay on/off (set by data-source when the Replay mode is selected)
+ */
+export function setReplayActive(active) {
+    replayActive = !!active;
+}
+
+export function isReplayActive() {
+    return replayActive;
+}
+
+/**
+ * Check a parsed bundle
+ * @throws {Error} When it is not a fixture bundle
+ */
+function validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || typeof bundle.responses !== 'object' || !bundle.responses) {
+        throw new Error('Not a fixture bundle (expected { version, recordedAt, mode, responses })');
+    }
+    if (bundle.version !== FIXTURE_VERSION) {
+        throw new Error(`Unsupported fixture version ${bundle.version} (expected ${FIXTURE_VERSION})`);
+    }
+    return bundle;
+}
+
+async function fetchDefaultBundle() {
+    const base = import.meta.env?.BASE_URL || '/';
+    const res = await fetch(`${base}${DEFAULT_FIXTURE_PATH}`);
+    // The dev server answers missing files with index.html, so a body that is not JSON counts as missing
+    const bundle = res.ok ? await res.json().catch(() => null) : null;
+    if (!bundle) throw new Error(`${NO_FIXTURE_MESSAGE} and ${DEFAULT_FIXTURE_PATH} is unavailable (${res.ok ? 'not JSON' : res.status})`);
+    return bundle;
+}
+
+/**
+ * Whether a load error means there is no bundle to replay yet (as opposed to a broken one)
+ * @param {string} message - Error message
+ */
+export function isMissingFixtureError(message) {
+    return typeof message === 'string' && message.startsWith(NO_FIXTURE_MESSAGE);
+}
+
+/**
+ * The active bundle: the last one loaded in this browser, else the default fixture file
+ * @returns {Promise<Object>} Bundle
+ */
+export function getReplayBundle() {
+    if (!bundlePromise) {
+        bundlePromise = (async () => {
+            const stored = await getStoredFixture().catch(() => null);
+            return validateBundle(stored || await fetchDefaultBundle());
+        })().catch(e => {
+            bundlePromise = null;
+            throw e;
+        });
+    }
+    return bundlePromise;
+}
+
+/**
+ * Use a bundle for replay and keep it for later visits
+ * @param {Object} bundle - Parsed fixture bundle
+ * @returns {Promise<Object>} Bundle summary (see describeBundle)
+ */
+export async function loadReplayBundle(bundle) {
+    validateBundle(bundle);
+    bundlePromise = Promise.resolve(bundle);
+    await saveStoredFixture(bundle).catch(e => console.warn('[Replay] Could not persist fixture:', e.message));
+    return describeBundle(bundle);
+}
+
+/**
+ * Recorded response for a URL / key
+ * @throws {Error} When the bundle has no response for it
+ */
+export async function getReplayResponse(key) {
+    const bundle = await getReplayBundle();
+    if (!(key in bundle.responses)) {
+        const error = new Error(`No recorded response for ${key}`);
+        error.status = 404;
+        throw error;
+    }
+    return bundle.responses[key];
+}
+
+/**
+ * Reference "now" for time-windowed series: the recording time while replaying
+ * (so windows line up with the recorded data), otherwise the wall clock
+ */
+export async function replayNow() {
+    if (!replayActive) return Date.now();
+    return (await getReplayBundle()).recordedAt;
+}
+
+/**
+ * Start capturing upstream responses
+ * @param {string} mode - Data source mode being recorded
+ */
+export function startRecording(mode) {
+    recording = { mode, startedAt: Date.now(), responses: {} };
+}
+
+export function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Capture a response while recording (no-op otherwise)
+ * @param {string} key - URL or REPLAY_KEYS entry
+ * @param {*} data - Parsed response
+ */
+export function recordResponse(key, data) {
+    if (!recording) return;
+    const rule = RECORD_TRIMS.find(r => r.match(key));
+    recording.responses[key] = rule ? rule.trim(data) : data;
+}
+
+/**
+ * Number of responses captured so far
+ */
+export function getRecordingSize() {
+    return recording ? Object.keys(recording.responses).length : 0;
+}
+
+/**
+ * Stop capturing and return the bundle
+ * @returns {Object|null} Bundle, or null when not recording
+ */
+export function stopRecording() {
+    if (!recording) return null;
+    const bundle = {
+        version: FIXTURE_VERSION,
+        recordedAt: Date.now(),
+        mode: recording.mode,
+        responses: recording.responses,
+    };
+    recording = null;
+    return bundle;
+}
+
+/**
+ * Summary of a bundle for display
+ * @returns {Object} { recordedAt, mode, responses }
+ */
+export function describeBundle(bundle) {
+    return {
+        recordedAt: bundle.recordedAt,
+        mode: bundle.mode,
+        responses: Object.keys(bundle.responses).length,
+    };
+}
@@ -0,0 +1,243 @@
+/**
+ * Upstream schema validation
+ * Checks the shape of every upstream payload before it is mapped, so an API
+ * change shows up as a source error (bad root) or as dropped rows (bad items)
+ * instead of silently coercing to zeros.
+ *
+ * Field specs: 'string' | 'number' | 'numeric' (number or numeric string) |
+ * 'boolean' | 'array' | 'object', with a trailing '?' for optional/nullable.
+ * A key of the form 'a|b' is satisfied by the first of a / b that is present.
+ */
+
+const isNumeric = (v) => (typeof v === 'number' && isFinite(v)) || (typeof v === 'string' && v.trim() !== '' && isFinite(Number(v)));
+
+const TYPE_CHECKS = {
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number' && isFinite(v),
+    numeric: isNumeric,
+    boolean: (v) => typeof v === 'boolean',
+    array: (v) => Array.isArray(v),
+    object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+};
+
+const isBreakdownEntry = (entry) => (
+    Array.isArray(entry) && typeof entry[0] === 'number' && TYPE_CHECKS.object(entry[1])
+);
+
+// Upstream payload schemas
+export const SCHEMAS = {
+    yieldsPools: {
+        label: 'DefiLlama yields /pools',
+        root: (json) => Array.isArray(json?.data) || 'expected { data: [] }',
+        items: (json) => json.data,
+        fields: {
+            pool: 'string',
+            chain: 'string',
+            project: 'string',
+            symbol: 'string',
+            tvlUsd: 'number',
+            apy: 'number?',
+            apyBase: 'number?',
+            apyReward: 'number?',
+            volumeUsd1d: 'number?',
+            volumeUsd7d: 'number?',
+            stablecoin: 'boolean?',
+            poolMeta: 'string?',
+        },
+    },
+    overviewDexs: {
+        label: 'DefiLlama /overview/dexs/sui',
+        root: (json) => Array.isArray(json?.totalDataChartBreakdown) || 'expected totalDataChartBreakdown: []',
+        items: (json) => json.totalDataChartBreakdown,
+        item: (entry) => isBreakdownEntry(entry) || 'expected [timestamp, { dex: value }]',
+    },
+    overviewFees: {
+        label: 'DefiLlama /overview/fees/sui',
+        root: (json) => Array.isArray(json?.totalDataChartBreakdown) || 'expected totalDataChartBreakdown: []',
+        items: (json) => json.totalDataChartBreakdown,
+        item: (entry) => isBreakdownEntry(entry) || 'expected [timestamp, { dex: value }]',
+    },
+    protocolTvl: {
+        label: 'DefiLlama /tvl',
+        root: (json) => TYPE_CHECKS.number(json) || 'expected a number',
+    },
+    protocolHistory: {
+        label: 'DefiLlama /protocol',
+        root: (json) => Array.isArray(json?.tvl) || 'expected tvl: []',
+        items: (json) => json.tvl,
+        fields: {
+            date: 'number',
+            totalLiquidityUSD: 'number',
+        },
+    },
+    yieldsChart: {
+        label: 'DefiLlama yields /chart',
+        root: (json) => Array.isArray(json?.data) || 'expected { data: [] }',
+        items: (json) => json.data,
+        fields: {
+            timestamp: 'string',
+            tvlUsd: 'number',
+            apy: 'number?',
+            apyBase: 'number?',
+            apyReward: 'number?',
+            volumeUsd1d: 'number?',
+        },
+    },
+    cetusPools: {
+        label: 'Cetus pools_info',
+        root: (json) => Array.isArray(json?.data?.lp_list) || 'expected data.lp_list: []',
+        items: (json) => json.data.lp_list,
+        fields: {
+            address: 'string',
+            'symbol|coin_a_symbol': 'string',
+            tvl_in_usd: 'numeric',
+            vol_in_usd_24h: 'numeric?',
+            fee_rate: 'numeric',
+            apr_24h: 'numeric?',
+        },
+    },
+    momentumPools: {
+        label: 'Momentum pools',
+        root: (json) => Array.isArray(json) || Array.isArray(json?.data) || 'expected [] or { data: [] }',
+        items: (json) => (Array.isArray(json) ? json : json.data),
+        fields: {
+            'pool_id|address': 'string',
+            'name|symbol': 'string',
+            tvl: 'numeric?',
+            volume_24h: 'numeric?',
+            fee: 'numeric?',
+            apr: 'numeric?',
+        },
+    },
+    bluefinPools: {
+        label: 'Bluefin pools/info',
+        root: (json) => Array.isArray(json) || Array.isArray(json?.data) || 'expected [] or { data: [] }',
+        items: (json) => (Array.isArray(json) ? json : json.data),
+        fields: {
+            'pool_address|address': 'string',
+            'symbol|name': 'string',
+            'tvl|liquidity_usd': 'numeric?',
+            'fee_rate|feeRate': 'numeric?',
+        },
+    },
+};
+
+// Keep a few sample errors per schema for the summary
+const MAX_SAMPLE_ERRORS = 5;
+
+const report = new Map();
+
+/**
+ * Validate one field against its spec
+ * @returns {string|null} Error message
+ */
+function checkField(item, key, spec) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const names = key.split('|');
+    const name = names.find(n => item[n] !== undefined && item[n] !== null);
+
+    if (name === undefined) return optional ? null : `missing ${key}`;
+    if (!TYPE_CHECKS[type](item[name])) return `${name} is not ${type}`;
+    return null;
+}
+
+/**
+ * Validate a single item
+ * @returns {string[]} Errors (empty when valid)
+ */
+function checkItem(schema, item) {
+    if (schema.item) {
+        const result = schema.item(item);
+        return result === true ? [] : [result];
+    }
+    if (!TYPE_CHECKS.object(item)) return ['not an object'];
+
+    return Object.entries(schema.fields || {})
+        .map(([key, spec]) => checkField(item, key, spec))
+        .filter(Boolean);
+}
+
+/**
+ * Check a payload's top-level shape
+ * @param {string} name - Key in SCHEMAS
+ * @param {*} payload - Parsed JSON
+ * @throws {Error} When the shape does not match (the source is unusable)
+ */
+export function validateRoot(name, payload) {
+    const schema = SCHEMAS[name];
+    const result = schema.root(payload);
+    if (result !== true) {
+        recordReport(name, { total: 0, dropped: 0, errors: [`root: ${result}`], rootError: true });
+        throw new Error(`${schema.label}: unexpected response shape (${result})`);
+    }
+}
+
+/**
+ * Validate items and drop the ones that do not match the schema
+ * @param {string} name - Key in SCHEMAS
+ * @param {Array} items - Raw items
+ * @returns {Object} { items: valid items, dropped: number }
+ */
+export function validateItems(name, items) {
+    const schema = SCHEMAS[name];
+    const valid = [];
+    const errors = [];
+
+    items.forEach((item, index) => {
+        const itemErrors = checkItem(schema, item);
+        if (itemErrors.length === 0) {
+            valid.push(item);
+        } else if (errors.length < MAX_SAMPLE_ERRORS) {
+            errors.push(`#${index}: ${itemErrors.join(', ')}`);
+        }
+    });
+
+    const dropped = items.length - valid.length;
+    if (dropped > 0) {
+        console.warn(`[Schema] ${schema.label}: dropped ${dropped} of ${items.length} rows (${errors[0]})`);
+    }
+
+    recordReport(name, { total: items.length, dropped, errors, rootError: false });
+    return { items: valid, dropped };
+}
+
+/**
+ * Validate a whole payload (root + items)
+ * @param {string} name - Key in SCHEMAS
+ * @param {*} payload - Parsed JSON
+ * @returns {Object} { items, dropped } (items is the payload itself for item-less schemas)
+ * @throws {Error} When the root shape does not match
+ */
+export function validatePayload(name, payload) {
+    validateRoot(name, payload);
+    const schema = SCHEMAS[name];
+    if (!schema.items) {
+        recordReport(name, { total: 1, dropped: 0, errors: [], rootError: false });
+        return { items: payload, dropped: 0 };
+    }
+    return validateItems(name, schema.items(payload));
+}
+
+function recordReport(name, entry) {
+    report.set(name, { name, label: SCHEMAS[name].label, ...entry, checkedAt: Date.now() });
+}
+
+/**
+ * Merge validation results produced elsewhere (e.g. in the yields worker)
+ * @param {Array} entries - Entries from getValidationReport()
+ */
+export function mergeValidationReport(entries = []) {
+    for (const entry of entries) {
+        const current = report.get(entry.name);
+        if (!current || current.checkedAt <= entry.checkedAt) report.set(entry.name, entry);
+    }
+}
+
+/**
+ * Latest validation result per schema
+ * @returns {Array} { name, label, total, dropped, errors, rootError, checkedAt }
+ */
+export function getValidationReport() {
+    return [...report.values()];
+}
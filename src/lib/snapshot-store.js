@@ -0,0 +1,278 @@
+/**
+ * Snapshot Store - IndexedDB persistence for pool data
+ * Every fetchPoolData result is stored as per-pool and per-DEX points so the
+ * dashboard builds its own history across visits. Also keeps the last loaded
+ * replay fixture bundle (too large for localStorage).
+ */
+
+import { SDK_DEX } from './dex-registry.js';
+
+const DB_NAME = 'sui-dex-dashboard';
+const DB_VERSION = 2;
+
+// Single-row store key for the replay fixture
+const FIXTURE_ID = 'current';
+
+// Retention limits
+export const SNAPSHOT_RETENTION = {
+    maxAgeDays: 90,                 // Drop points older than this
+    minIntervalMs: 10 * 60 * 1000,  // At most one snapshot per mode every 10 minutes
+    topPools: 100,                  // Per-pool points: every Full Sail pool plus the largest others by TVL
+    maxPoolPoints: 100000,          // Drop the oldest per-pool points beyond this many rows
+};
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB is available (not in Node / some private modes)
+ */
+export function isSnapshotStoreAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve once a transaction commits
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                if (event.oldVersion < 1) {
+                    const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                    snapshots.createIndex('timestamp', 'timestamp');
+                    snapshots.createIndex('mode', 'mode');
+
+                    const poolPoints = db.createObjectStore('pool_points', { keyPath: 'id', autoIncrement: true });
+                    poolPoints.createIndex('poolId', 'poolId');
+                    poolPoints.createIndex('timestamp', 'timestamp');
+
+                    const dexPoints = db.createObjectStore('dex_points', { keyPath: 'id', autoIncrement: true });
+                    dexPoints.createIndex('dex', 'dex');
+                    dexPoints.createIndex('timestamp', 'timestamp');
+                }
+
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('fixtures', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Delete points older than the retention window from every store
+ */
+async function pruneOldPoints(db) {
+    const cutoff = Date.now() - SNAPSHOT_RETENTION.maxAgeDays * 24 * 60 * 60 * 1000;
+    const tx = db.transaction(['snapshots', 'pool_points', 'dex_points'], 'readwrite');
+
+    for (const name of ['snapshots', 'pool_points', 'dex_points']) {
+        const range = IDBKeyRange.upperBound(cutoff, true);
+        const request = tx.objectStore(name).index('timestamp').openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    }
+
+    await transactionDone(tx);
+}
+
+/**
+ * Delete the oldest per-pool points beyond the row cap
+ */
+async function capPoolPoints(db) {
+    const tx = db.transaction('pool_points', 'readwrite');
+    const store = tx.objectStore('pool_points');
+
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+        let excess = countRequest.result - SNAPSHOT_RETENTION.maxPoolPoints;
+        if (excess <= 0) return;
+        const request = store.index('timestamp').openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor && excess-- > 0) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    };
+
+    await transactionDone(tx);
+}
+
+/**
+ * Pools that get per-pool points: every Full Sail pool plus the largest others
+ * by TVL (Direct mode lists thousands of pools; the DEX points still cover all)
+ */
+function pointPools(pools) {
+    const others = pools
+        .filter(pool => pool.dex !== SDK_DEX)
+        .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
+        .slice(0, SNAPSHOT_RETENTION.topPools);
+    return [...pools.filter(pool => pool.dex === SDK_DEX), ...others];
+}
+
+/**
+ * Timestamp of the latest snapshot for a mode
+ */
+async function getLastSnapshotTime(db, mode) {
+    const tx = db.transaction('snapshots', 'readonly');
+    const snapshots = await promisify(tx.objectStore('snapshots').index('mode').getAll(mode));
+    return snapshots.reduce((max, s) => Math.max(max, s.timestamp), 0);
+}
+
+/**
+ * Persist a fetchPoolData result
+ * @param {Object} result - { pools, dexStats, summary, lastUpdated, mode }
+ * @returns {Promise<boolean>} true if stored, false if skipped
+ */
+export async function saveSnapshot(result) {
+    if (!isSnapshotStoreAvailable() || !result?.pools?.length) return false;
+
+    const db = await openDB();
+    const timestamp = result.lastUpdated ? Date.parse(result.lastUpdated) : Date.now();
+    const mode = result.mode;
+
+    if (timestamp - await getLastSnapshotTime(db, mode) < SNAPSHOT_RETENTION.minIntervalMs) {
+        return false;
+    }
+
+    const tx = db.transaction(['snapshots', 'pool_points', 'dex_points'], 'readwrite');
+
+    tx.objectStore('snapshots').add({
+        timestamp,
+        mode,
+        poolCount: result.pools.length,
+        summary: result.summary,
+    });
+
+    const poolPoints = tx.objectStore('pool_points');
+    for (const pool of pointPools(result.pools)) {
+        poolPoints.add({
+            poolId: pool.id,
+            dex: pool.dex,
+            name: pool.name,
+            mode,
+            timestamp,
+            tvl: pool.tvl || 0,
+            volume_24h: pool.volume_24h || 0,
+            fees_24h: pool.fees_24h || 0,
+            apr: pool.apr || 0,
+            apyBase: pool.apyBase || 0,
+            apyReward: pool.apyReward || 0,
+        });
+    }
+
+    const dexPoints = tx.objectStore('dex_points');
+    for (const [dex, stats] of Object.entries(result.dexStats || {})) {
+        dexPoints.add({
+            dex,
+            mode,
+            timestamp,
+            tvl: stats.totalTVL || 0,
+            volume_24h: stats.volume24h || 0,
+            fees_24h: stats.fees24h || 0,
+            poolCount: stats.poolCount || 0,
+        });
+    }
+
+    await transactionDone(tx);
+    await pruneOldPoints(db);
+    await capPoolPoints(db);
+    return true;
+}
+
+/**
+ * Filter + sort stored points by time range / mode
+ */
+function selectPoints(points, { since = 0, until = Infinity, mode } = {}) {
+    return points
+        .filter(p => p.timestamp >= since && p.timestamp <= until && (!mode || p.mode === mode))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get a pool's stored series over time
+ * @param {string} poolId - Pool id
+ * @param {Object} options - { since, until, mode } (timestamps in ms)
+ * @returns {Promise<Array>} Points { timestamp, tvl, volume_24h, fees_24h, apr, ... }
+ */
+export async function getPoolSeries(poolId, options = {}) {
+    if (!isSnapshotStoreAvailable()) return [];
+    const db = await openDB();
+    const tx = db.transaction('pool_points', 'readonly');
+    const points = await promisify(tx.objectStore('pool_points').index('poolId').getAll(poolId));
+    return selectPoints(points, options);
+}
+
+/**
+ * Get a DEX's stored series over time
+ * @param {string} dex - DEX name
+ * @param {Object} options - { since, until, mode } (timestamps in ms)
+ * @returns {Promise<Array>} Points { timestamp, tvl, volume_24h, fees_24h, poolCount }
+ */
+export async function getDexSeries(dex, options = {}) {
+    if (!isSnapshotStoreAvailable()) return [];
+    const db = await openDB();
+    const tx = db.transaction('dex_points', 'readonly');
+    const points = await promisify(tx.objectStore('dex_points').index('dex').getAll(dex));
+    return selectPoints(points, options);
+}
+
+/**
+ * Keep a replay fixture bundle for later visits (replaces the previous one)
+ * @param {Object} bundle - Fixture bundle
+ */
+export async function saveStoredFixture(bundle) {
+    if (!isSnapshotStoreAvailable()) return;
+    const db = await openDB();
+    const tx = db.transaction('fixtures', 'readwrite');
+    tx.objectStore('fixtures').put({ id: FIXTURE_ID, bundle });
+    await transactionDone(tx);
+}
+
+/**
+ * The stored replay fixture bundle
+ * @returns {Promise<Object|null>} Bundle, or null when none was loaded
+ */
+export async function getStoredFixture() {
+    if (!isSnapshotStoreAvailable()) return null;
+    const db = await openDB();
+    const tx = db.transaction('fixtures', 'readonly');
+    const row = await promisify(tx.objectStore('fixtures').get(FIXTURE_ID));
+    return row?.bundle || null;
+}
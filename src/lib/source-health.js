@@ -0,0 +1,188 @@
+/**
+ * Source Health - per-upstream status tracking
+ * Every upstream call (DefiLlama endpoints, native DEX APIs, Full Sail SDK)
+ * reports status, latency, error and cache state here, so missing data can
+ * be told apart from real zeros.
+ */
+
+import { swr } from './persistent-cache.js';
+
+export const SOURCE_STATUS = {
+    OK: 'ok',           // Fresh data from the network or a fresh cache entry
+    STALE: 'stale',     // Served from an expired cache entry
+    PARTIAL: 'partial', // Some sub-requests failed
+    ERROR: 'error',     // No data
+};
+
+const health = new Map();
+const listeners = new Set();
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Record the latest result for a source and notify subscribers
+ * @param {string} id - Source id (e.g. 'defillama:yields', 'cetus')
+ * @param {Object} result - { label, status, latencyMs, error, cached, stale, fetchedAt, count }
+ */
+export function recordSourceHealth(id, result) {
+    const entry = {
+        id,
+        label: id,
+        latencyMs: null,
+        error: null,
+        cached: false,
+        stale: false,
+        fetchedAt: null,
+        count: null,
+        ...health.get(id),
+        ...result,
+        checkedAt: Date.now(),
+    };
+    health.set(id, entry);
+    for (const listener of listeners) listener(getSourceHealth());
+}
+
+/**
+ * Current health of every source seen so far
+ * @returns {Array} Source health entries sorted by label
+ */
+export function getSourceHealth() {
+    return [...health.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Subscribe to health changes
+ * @param {Function} listener - (entries) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeSourceHealth(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Forget all recorded health
+ */
+export function clearSourceHealth() {
+    health.clear();
+    for (const listener of listeners) listener([]);
+}
+
+/**
+ * Run an uncached upstream call and record its health
+ * @param {string} id - Source id
+ * @param {string} label - Display label
+ * @param {Function} loader - async () => data (throws on failure)
+ * @param {Function} count - Optional data => number of rows, for the panel
+ * @returns {Promise<Object>} { id, label, data, status, latencyMs, error, cached, stale, fetchedAt }
+ */
+export async function trackSource(id, label, loader, count) {
+    const start = now();
+    try {
+        const data = await loader();
+        const result = {
+            id,
+            label,
+            data,
+            status: SOURCE_STATUS.OK,
+            latencyMs: Math.round(now() - start),
+            error: null,
+            cached: false,
+            stale: false,
+            fetchedAt: Date.now(),
+        };
+        recordSourceHealth(id, { label, ...withoutData(result), count: count ? count(data) : null });
+        return result;
+    } catch (e) {
+        const result = {
+            id,
+            label,
+            data: null,
+            status: SOURCE_STATUS.ERROR,
+            latencyMs: Math.round(now() - start),
+            error: e.message || String(e),
+            cached: false,
+            stale: false,
+            fetchedAt: null,
+        };
+        recordSourceHealth(id, { label, ...withoutData(result), count: null });
+        return result;
+    }
+}
+
+/**
+ * Run an upstream call through the stale-while-revalidate cache and record
+ * its health. Background revalidations update the recorded health too.
+ * @param {string} id - Source id
+ * @param {string} label - Display label
+ * @param {string} key - Cache key
+ * @param {string} endpoint - Endpoint name for TTL lookup
+ * @param {Function} loader - async () => data (throws on failure)
+ * @param {Object} options - swr options ({ forceRefresh, allowStale }) plus count(data)
+ * @returns {Promise<Object>} { id, label, data, status, latencyMs, error, cached, stale, fetchedAt }
+ */
+export async function trackCachedSource(id, label, key, endpoint, loader, options = {}) {
+    const { count, ...swrOptions } = options;
+    let latencyMs = null;
+
+    const timedLoader = async () => {
+        const start = now();
+        try {
+            const data = await loader();
+            latencyMs = Math.round(now() - start);
+            recordSourceHealth(id, {
+                label,
+                status: SOURCE_STATUS.OK,
+                latencyMs,
+                error: null,
+                cached: false,
+                stale: false,
+                fetchedAt: Date.now(),
+                count: count ? count(data) : null,
+            });
+            return data;
+        } catch (e) {
+            latencyMs = Math.round(now() - start);
+            recordSourceHealth(id, { label, status: SOURCE_STATUS.ERROR, latencyMs, error: e.message || String(e) });
+            throw e;
+        }
+    };
+
+    try {
+        const entry = await swr(key, endpoint, timedLoader, swrOptions);
+        const result = {
+            id,
+            label,
+            data: entry.data,
+            status: entry.stale ? SOURCE_STATUS.STALE : SOURCE_STATUS.OK,
+            latencyMs: entry.cached && !entry.error ? null : latencyMs,
+            error: entry.error || null,
+            cached: entry.cached,
+            stale: entry.stale,
+            fetchedAt: entry.fetchedAt,
+        };
+        if (entry.cached) {
+            recordSourceHealth(id, { label, ...withoutData(result), count: count ? count(entry.data) : null });
+        }
+        return result;
+    } catch (e) {
+        return {
+            id,
+            label,
+            data: null,
+            status: SOURCE_STATUS.ERROR,
+            latencyMs,
+            error: e.message || String(e),
+            cached: false,
+            stale: false,
+            fetchedAt: null,
+        };
+    }
+}
+
+/**
+ * Strip the payload from a source result (for health summaries)
+ */
+export function withoutData({ data, ...rest }) {
+    return rest;
+}
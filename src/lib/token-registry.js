@@ -0,0 +1,320 @@
+/**
+ * Token Registry - canonical Sui assets
+ * Maps the symbols and coin types seen in pool rows to canonical assets, so
+ * pairs can be matched regardless of token order or symbol spelling, and
+ * bridged (wrapped) assets stay distinct from native ones.
+ *
+ * Entry fields:
+ *   symbol     Canonical symbol (display + filter key)
+ *   name       Asset name
+ *   category   'stable' | 'lst' | 'major' | 'ecosystem'
+ *   aliases    Other symbols used for the asset in pool names (case-insensitive)
+ *   coinTypes  Sui coin types (matched before symbols when a row has them)
+ *   bridge     Bridge for wrapped assets (e.g. 'Wormhole'), or null for native
+ *
+ * Tokens not in the registry are kept as-is (upper-cased symbol, category
+ * 'other'), so new tokens still show up in the filters.
+ */
+
+// Token categories, in quote-preference order ('other' = not in the registry)
+export const TOKEN_CATEGORIES = [
+    { key: 'stable', label: 'Stablecoin' },
+    { key: 'major', label: 'Major' },
+    { key: 'lst', label: 'LST' },
+    { key: 'ecosystem', label: 'Sui ecosystem' },
+    { key: 'other', label: 'Unlisted token' },
+];
+
+export const TOKEN_REGISTRY = [
+    // Stablecoins
+    {
+        symbol: 'USDC',
+        name: 'USD Coin (native)',
+        category: 'stable',
+        aliases: [],
+        coinTypes: ['0xdba34672e30cb065b1f93e3ab55318768fd6fef66c15942c9f7cb846e2f900e7::usdc::USDC'],
+        bridge: null,
+    },
+    {
+        symbol: 'USDT',
+        name: 'Tether (Sui Bridge)',
+        category: 'stable',
+        aliases: ['SUIUSDT'],
+        coinTypes: ['0x375f70cf2ae4c00bf37117d0c85a2c71545e6ee05c4a5c7d282cd66a4504b068::usdt::USDT'],
+        bridge: null,
+    },
+    {
+        symbol: 'wUSDC',
+        name: 'USD Coin (Wormhole)',
+        category: 'stable',
+        aliases: ['WUSDC', 'USDC.E'],
+        coinTypes: ['0x5d4b302506645c37ff133b98c4b50a5ae14841659738d6d733d59d0d217a93bf::coin::COIN'],
+        bridge: 'Wormhole',
+    },
+    {
+        symbol: 'wUSDT',
+        name: 'Tether (Wormhole)',
+        category: 'stable',
+        aliases: ['WUSDT', 'USDT.E'],
+        coinTypes: ['0xc060006111016b8a020ad5b33834984a437aaa7d3c74c18e09a95d48aceab08c::coin::COIN'],
+        bridge: 'Wormhole',
+    },
+    {
+        symbol: 'AUSD',
+        name: 'Agora USD',
+        category: 'stable',
+        aliases: [],
+        coinTypes: ['0x2053d08c1e2bd02791056171aab0fd12bd7cd7efad2ab8f6b9c8902f14df2ff2::ausd::AUSD'],
+        bridge: null,
+    },
+    {
+        symbol: 'USDY',
+        name: 'Ondo US Dollar Yield',
+        category: 'stable',
+        aliases: [],
+        coinTypes: ['0x960b531667636f39e85867775f52f6b1f220a058c4de786905bdf761e06a56bb::usdy::USDY'],
+        bridge: null,
+    },
+    {
+        symbol: 'BUCK',
+        name: 'Bucket USD',
+        category: 'stable',
+        aliases: [],
+        coinTypes: ['0xce7ff77a83ea0cb6fd39bd8748e2ec89a3f41e8efdc3f4eb123e0ca37b184db2::buck::BUCK'],
+        bridge: null,
+    },
+    {
+        symbol: 'FDUSD',
+        name: 'First Digital USD',
+        category: 'stable',
+        aliases: [],
+        coinTypes: ['0xf16e6b723f242ec745dfd7634ad072c42d5c1d9ac9d62a39c381303eaa57693a::fdusd::FDUSD'],
+        bridge: null,
+    },
+
+    // Majors
+    {
+        symbol: 'SUI',
+        name: 'Sui',
+        category: 'major',
+        aliases: [],
+        coinTypes: ['0x2::sui::SUI'],
+        bridge: null,
+    },
+    {
+        symbol: 'ETH',
+        name: 'Ether (Sui Bridge)',
+        category: 'major',
+        aliases: ['SUIETH'],
+        coinTypes: ['0xd0e89b2af5e4910726fbcd8b8dd37bb79b29e5f83f7491bca830e94f7f226d29::eth::ETH'],
+        bridge: null,
+    },
+    {
+        symbol: 'WETH',
+        name: 'Ether (Wormhole)',
+        category: 'major',
+        aliases: ['WETH.E'],
+        coinTypes: ['0xaf8cd5edc19c4512f4259f0bee101a40d41ebed738ade5874359610ef8eeced5::coin::COIN'],
+        bridge: 'Wormhole',
+    },
+    {
+        symbol: 'WBTC',
+        name: 'Bitcoin (Sui Bridge)',
+        category: 'major',
+        aliases: ['BTC'],
+        coinTypes: ['0xaafb102dd0902f5055cadecd687fb5b71ca82ef0e0285d90afde828ec58ca96b::btc::BTC'],
+        bridge: null,
+    },
+
+    // Liquid staking
+    {
+        symbol: 'haSUI',
+        name: 'Haedal staked SUI',
+        category: 'lst',
+        aliases: ['HASUI'],
+        coinTypes: ['0xbde4ba4c2e274a60ce15c1cfff9e5c42e41654ac8b6d906a57efa4bd3c29f47d::hasui::HASUI'],
+        bridge: null,
+    },
+    {
+        symbol: 'afSUI',
+        name: 'Aftermath staked SUI',
+        category: 'lst',
+        aliases: ['AFSUI'],
+        coinTypes: ['0xf325ce1300e8dac124071d3152c5c5ee6174914f8bc2161e88329cf579246efc::afsui::AFSUI'],
+        bridge: null,
+    },
+    {
+        symbol: 'vSUI',
+        name: 'Volo staked SUI',
+        category: 'lst',
+        aliases: ['VSUI', 'CERT'],
+        coinTypes: ['0x549e8b69270defbfafd4f94e17ec44cdbdd99820b33bda2278dea3b9a32d3f55::cert::CERT'],
+        bridge: null,
+    },
+    {
+        symbol: 'stSUI',
+        name: 'AlphaFi staked SUI',
+        category: 'lst',
+        aliases: ['STSUI'],
+        coinTypes: ['0xd1b72982e40348d069bb1ff701e634c117bb5f741f44dff91e472d3b01461e55::stsui::STSUI'],
+        bridge: null,
+    },
+
+    // Sui ecosystem
+    {
+        symbol: 'DEEP',
+        name: 'DeepBook',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0xdeeb7a4662eec9f2f3def03fb937a663dddaa2e215b8078a284d026b7946c270::deep::DEEP'],
+        bridge: null,
+    },
+    {
+        symbol: 'WAL',
+        name: 'Walrus',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0x356a26eb9e012a68958082340d4c4116e7f55615cf27affcff209cf0ae544f59::wal::WAL'],
+        bridge: null,
+    },
+    {
+        symbol: 'IKA',
+        name: 'Ika',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0x7262fb2f7a3a14c888c438a3cd9b912469a58cf60f367352c46584262e8299aa::ika::IKA'],
+        bridge: null,
+    },
+    {
+        symbol: 'SAIL',
+        name: 'Full Sail',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: [],
+        bridge: null,
+    },
+    {
+        symbol: 'CETUS',
+        name: 'Cetus',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0x06864a6f921804860930db6ddbe2e16acdf8504495ea7481637a1c8b9a8fe54b::cetus::CETUS'],
+        bridge: null,
+    },
+    {
+        symbol: 'BLUE',
+        name: 'Bluefin',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0xe1b45a0e641b9955a20aa0ad1c1f4ad86aad8afb07296d4085e349a50e90bdca::blue::BLUE'],
+        bridge: null,
+    },
+    {
+        symbol: 'NAVX',
+        name: 'NAVI Protocol',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0xa99b8952d4f7d947ea77fe0ecdcc9e5fc0bcab2841d6e2a5aa00c3044e5544b5::navx::NAVX'],
+        bridge: null,
+    },
+    {
+        symbol: 'SCA',
+        name: 'Scallop',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0x7016aae72cfc67f2fadf55769c0a7dd54291a583b63051a5ed71081cce836ac6::sca::SCA'],
+        bridge: null,
+    },
+    {
+        symbol: 'TURBOS',
+        name: 'Turbos',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0x5d1f47ea69bb0de31c313d7acf89b890dbb8991ea8e03c6c355171f84bb1ba4a::turbos::TURBOS'],
+        bridge: null,
+    },
+    {
+        symbol: 'FUD',
+        name: 'FUD',
+        category: 'ecosystem',
+        aliases: [],
+        coinTypes: ['0x76cb819b01abed502bee8a702b4c2d547532c12f25001c9dea795a5e631c26f1::fud::FUD'],
+        bridge: null,
+    },
+];
+
+// Quote preference when ordering a pair: stables, then majors, LSTs, ecosystem, unknown
+const CATEGORY_RANK = Object.fromEntries(TOKEN_CATEGORIES.map((category, i) => [category.key, i]));
+
+/**
+ * Normalize a coin type: lower-case address without leading zeros (0x0002 -> 0x2)
+ */
+export function normalizeCoinType(coinType) {
+    if (typeof coinType !== 'string' || !coinType.includes('::')) return null;
+    const [address, ...path] = coinType.trim().split('::');
+    const hex = address.toLowerCase().replace(/^0x/, '').replace(/^0+(?=.)/, '');
+    return [`0x${hex}`, ...path].join('::');
+}
+
+const BY_COIN_TYPE = new Map();
+const BY_SYMBOL = new Map();
+TOKEN_REGISTRY.forEach((token, index) => {
+    const entry = { ...token, known: true, rank: index };
+    for (const coinType of token.coinTypes) BY_COIN_TYPE.set(normalizeCoinType(coinType), entry);
+    for (const symbol of [token.symbol, ...token.aliases]) BY_SYMBOL.set(symbol.toUpperCase(), entry);
+});
+
+/**
+ * Canonical asset for a pool token
+ * A known coin type wins over the symbol (a "USDC" symbol on the Wormhole coin
+ * type is wUSDC); otherwise the symbol or an alias is matched.
+ * @param {Object} token - { symbol, coinType? }
+ * @returns {Object} Registry entry + { known: true, rank }, or { symbol, category: 'other', known: false }
+ */
+export function resolveToken({ symbol, coinType = null }) {
+    const byType = BY_COIN_TYPE.get(normalizeCoinType(coinType));
+    if (byType) return byType;
+    const key = String(symbol || '').trim().toUpperCase();
+    return BY_SYMBOL.get(key) || {
+        symbol: key,
+        name: key,
+        category: 'other',
+        aliases: [],
+        coinTypes: coinType ? [coinType] : [],
+        bridge: null,
+        known: false,
+        rank: Infinity,
+    };
+}
+
+/**
+ * Order tokens base first, quote last (quote = stable > major > LST > ecosystem > unknown,
+ * then registry order), so USDC/SUI and SUI/USDC give the same pair
+ */
+function compareQuote(a, b) {
+    return (CATEGORY_RANK[b.category] - CATEGORY_RANK[a.category])
+        || (b.rank - a.rank)
+        || a.symbol.localeCompare(b.symbol);
+}
+
+/**
+ * Canonical pair for a list of pool tokens
+ * @param {Array} tokens - [{ symbol, coinType? }] (see pool-detail.js poolTokens)
+ * @returns {Object} { key: 'SUI/USDC', tokens: canonical entries (base first), base, quote }
+ */
+export function canonicalPair(tokens) {
+    const resolved = tokens.map(resolveToken).sort(compareQuote);
+    return {
+        key: resolved.map(token => token.symbol).join('/'),
+        tokens: resolved,
+        base: resolved[0] || null,
+        quote: resolved[resolved.length - 1] || null,
+    };
+}
+
+/**
+ * Label for a token category key
+ */
+export function categoryLabel(key) {
+    return TOKEN_CATEGORIES.find(category => category.key === key)?.label || key;
+}
@@ -0,0 +1,34 @@
+/**
+ * Upstream base URLs
+ * In the browser the native DEX APIs go through the Vite /api/* dev proxies;
+ * the aggregation server (server/index.js) points them at the real hosts or
+ * at local stubs with configureUpstreams().
+ */
+
+// Real hosts behind the dev proxies (vite.config.js, aggregation server defaults)
+export const DEX_API_ORIGINS = {
+    cetus: 'https://api-sui.cetus.zone',
+    momentum: 'https://api.mmt.finance',
+    bluefin: 'https://swap.api.sui-prod.bluefin.io',
+};
+
+// Base URLs read at request time by the fetchers
+export const UPSTREAMS = {
+    defillama: 'https://api.llama.fi',
+    defillamaVolumes: 'https://api.llama.fi',
+    defillamaYields: 'https://yields.llama.fi',
+    cetus: '/api/cetus',
+    momentum: '/api/momentum',
+    bluefin: '/api/bluefin',
+};
+
+/**
+ * Override upstream base URLs (unknown keys are rejected)
+ * @param {Object} overrides - { [key in UPSTREAMS]: url }
+ */
+export function configureUpstreams(overrides = {}) {
+    for (const [key, url] of Object.entries(overrides)) {
+        if (!(key in UPSTREAMS)) throw new Error(`Unknown upstream: ${key}`);
+        if (url) UPSTREAMS[key] = url.replace(/\/+$/, '');
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * URL query state
+ * Dashboard filters, sorts and chart settings live in the query string so a
+ * view can be bookmarked or shared, and back / forward step through changes.
+ * Values equal to their default are left out of the URL.
+ *
+ * Changes made in the same tick (e.g. a filter change that also resets the
+ * page) share one history entry.
+ */
+
+const listeners = new Set();
+let pushPending = false;
+let popstateBound = false;
+
+const hasWindow = () => typeof window !== 'undefined' && !!window.history;
+
+// Keep list, sort and pair separators readable in the address bar
+const encodeValue = (value) => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3A/g, ':').replace(/%2F/g, '/');
+
+function notify() {
+    for (const listener of listeners) listener();
+}
+
+/**
+ * Current query parameters
+ * @returns {URLSearchParams} Fresh copy (empty outside the browser)
+ */
+export function getUrlParams() {
+    return new URLSearchParams(hasWindow() ? window.location.search : '');
+}
+
+/**
+ * Subscribe to query changes (setUrlParams and back / forward)
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeUrl(listener) {
+    if (hasWindow() && !popstateBound) {
+        window.addEventListener('popstate', notify);
+        popstateBound = true;
+    }
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Set or remove query parameters
+ * @param {Object} updates - { [param]: string | null } (null removes the param)
+ * @param {Object} options - { replace: update the current history entry instead of adding one }
+ */
+export function setUrlParams(updates, options = {}) {
+    if (!hasWindow()) return;
+    const params = getUrlParams();
+    for (const [param, value] of Object.entries(updates)) {
+        if (value === null || value === undefined) params.delete(param);
+        else params.set(param, value);
+    }
+
+    const query = [...params].map(([param, value]) => `${param}=${encodeValue(value)}`).join('&');
+    const search = query ? `?${query}` : '';
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (options.replace || pushPending) {
+        window.history.replaceState(window.history.state, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+        pushPending = true;
+        queueMicrotask(() => { pushPending = false; });
+    }
+    notify();
+}
+
+/**
+ * Value codecs: parse returns undefined for values that should fall back to the default
+ */
+export const URL_CODECS = {
+    string: {
+        parse: (raw) => raw,
+        serialize: (value) => value,
+    },
+    boolean: {
+        parse: (raw) => (raw === '1' ? true : raw === '0' ? false : undefined),
+        serialize: (value) => (value ? '1' : '0'),
+    },
+    // Comma-separated list ('' = empty list)
+    list: {
+        parse: (raw) => raw.split(',').map(v => v.trim()).filter(Boolean),
+        serialize: (value) => value.join(','),
+    },
+    // 'key:asc' | 'key:desc' <-> { key, direction }
+    sort: {
+        parse: (raw) => {
+            const [key, direction] = raw.split(':');
+            return key && (direction === 'asc' || direction === 'desc') ? { key, direction } : undefined;
+        },
+        serialize: (value) => `${value.key}:${value.direction}`,
+    },
+    // 'YYYY-MM-DD'
+    date: {
+        parse: (raw) => (/^\d{4}-\d{2}-\d{2}$/.test(raw) ? raw : undefined),
+        serialize: (value) => value,
+    },
+    // Whole number >= 1 (pages, day counts)
+    positiveInt: {
+        parse: (raw) => (/^\d+$/.test(raw) && Number(raw) >= 1 ? Number(raw) : undefined),
+        serialize: (value) => String(value),
+    },
+};
+
+/**
+ * Codec accepting one of a fixed set of values (strings or numbers)
+ * @param {Array} values - Allowed values
+ */
+export function oneOf(values) {
+    return {
+        parse: (raw) => values.find(value => String(value) === raw),
+        serialize: (value) => String(value),
+    };
+}
+
+/**
+ * Codec for a list whose items must be in an allowed set (kept in that set's order)
+ * @param {Array} values - Allowed items
+ */
+export function listOf(values) {
+    return {
+        parse: (raw) => {
+            const items = URL_CODECS.list.parse(raw);
+            return values.filter(value => items.includes(String(value)));
+        },
+        serialize: (items) => values.filter(value => items.includes(value)).join(','),
+    };
+}
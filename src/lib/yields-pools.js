@@ -0,0 +1,84 @@
+/**
+ * DefiLlama yields /pools parsing
+ * Filters the global yields payload down to the tracked Sui DEXs and maps
+ * rows to our pool format. Pure (no DOM / storage access) so it runs both on
+ * the main thread and inside yields.worker.js.
+ */
+
+import { validateRoot, validateItems } from './schema.js';
+import { PROJECT_TO_DEX } from './dex-registry.js';
+
+// The global yields payload is large; give it a longer timeout
+export const YIELDS_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Sui rows of tracked DEXs from a yields /pools payload (unmapped)
+ * @param {Object} payload - { data: [...] }
+ * @returns {Array} Raw yields rows
+ * @throws {Error} When the payload shape is unexpected
+ */
+export function filterSuiPools(payload) {
+    validateRoot('yieldsPools', payload);
+    return payload.data.filter(pool => {
+        if (pool?.chain !== 'Sui') return false;
+        const project = pool.project?.toLowerCase();
+        return PROJECT_TO_DEX[project] !== undefined;
+    });
+}
+
+/**
+ * Map one yields row to our standard pool format
+ */
+function mapYieldsPool(pool) {
+    const project = pool.project?.toLowerCase();
+    const tvl = pool.tvlUsd || 0;
+    const volume24h = pool.volumeUsd1d || 0;
+    const volume7d = pool.volumeUsd7d || 0;
+    // 30d volume and 7d/30d fees come from per-pool history (see pool-history.js);
+    // null until computed there
+    const volume30d = null;
+
+    // Derive fees from APY Base (Fees / TVL) if available. Pools without it get
+    // fees from volume × their real fee tier in the data source (see fee-tiers.js)
+    const fees24h = pool.apyBase > 0 ? tvl * pool.apyBase / (100 * 365) : 0;
+    const fees7d = null;
+    const fees30d = null;
+
+    return {
+        id: pool.pool,
+        name: pool.symbol || 'Unknown',
+        dex: PROJECT_TO_DEX[project] || pool.project,
+        tvl: tvl,
+        volume_24h: volume24h,
+        volume_7d: volume7d,
+        volume_30d: volume30d,
+        fees_24h: fees24h,
+        fees_7d: fees7d,
+        fees_30d: fees30d,
+        fee_source: pool.apyBase > 0 ? 'apyBase' : null,
+        poolMeta: pool.poolMeta || null,
+        apr: pool.apy || 0,
+        apr_7d: pool.apyPct7D || 0,
+        apr_30d: pool.apyMean30d || 0,
+        apyBase: pool.apyBase || 0,
+        apyReward: pool.apyReward || 0,
+        stablecoin: pool.stablecoin || false,
+        // Coin types of the pool's tokens, in symbol order
+        underlying_tokens: Array.isArray(pool.underlyingTokens) ? pool.underlyingTokens : [],
+        // Ratios
+        fee_tvl_ratio: tvl > 0 ? (fees24h * 365) / tvl : 0, // Annualized
+        vol_tvl_ratio: tvl > 0 ? volume24h / tvl : 0,
+    };
+}
+
+/**
+ * Validate, filter and map a yields /pools payload
+ * @param {Object} payload - Parsed yields /pools response
+ * @returns {Array} Pool rows for the tracked Sui DEXs
+ * @throws {Error} When the payload shape is unexpected
+ */
+export function parseSuiPools(payload) {
+    // Check each Sui row's shape, dropping malformed ones
+    const { items } = validateItems('yieldsPools', filterSuiPools(payload));
+    return items.map(mapYieldsPool).filter(pool => pool.tvl > 0 || pool.apr > 0);
+}
@@ -0,0 +1,80 @@
+/**
+ * Yields worker client
+ * Message-based API to yields.worker.js. One worker is created lazily and
+ * shared; each request carries an id and resolves with the matching reply.
+ * If the worker crashes, pending requests fail and the next call starts a
+ * fresh worker.
+ */
+
+import { mergeValidationReport } from './schema.js';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+/**
+ * Whether Web Workers can be used (not in Node / SSR)
+ */
+export function isYieldsWorkerAvailable() {
+    return typeof Worker !== 'undefined';
+}
+
+function failPending(error) {
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./yields.worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data }) => {
+            const request = pending.get(data.id);
+            if (!request) return;
+            pending.delete(data.id);
+
+            // Schema results from the worker feed the same data-quality summary
+            mergeValidationReport(data.validation);
+
+            if (data.error) {
+                request.reject(Object.assign(new Error(data.error), { status: data.status }));
+            } else {
+                request.resolve(data);
+            }
+        };
+
+        worker.onerror = (event) => {
+            console.error('[Worker] Yields worker failed:', event.message);
+            event.preventDefault?.();
+            worker.terminate();
+            worker = null;
+            failPending(new Error(`Yields worker failed: ${event.message || 'unknown error'}`));
+        };
+    }
+    return worker;
+}
+
+/**
+ * Send a request to the worker
+ * @param {string} type - Request type
+ * @param {Object} payload - Request fields
+ * @returns {Promise<Object>} Worker reply
+ */
+function request(type, payload) {
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        getWorker().postMessage({ id, type, ...payload });
+    });
+}
+
+/**
+ * Fetch and map Sui pools from the yields API inside the worker
+ * @param {string} url - yields /pools URL
+ * @param {Object} options - { timeoutMs, keepPayload (return the Sui-only payload for recording) }
+ * @returns {Promise<Object>} { rows, payload }
+ */
+export async function fetchSuiPoolsInWorker(url, options = {}) {
+    const { rows, payload } = await request('sui-pools', { url, ...options });
+    return { rows, payload };
+}
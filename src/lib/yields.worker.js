@@ -0,0 +1,35 @@
+/**
+ * Yields worker
+ * Fetches, parses and maps the DefiLlama yields /pools payload off the main
+ * thread (see yields-worker-client.js for the message API).
+ *
+ * Request:  { id, type: 'sui-pools', url, timeoutMs, keepPayload }
+ * Response: { id, rows, payload, validation } or { id, error, status, validation }
+ */
+
+import { fetchJson } from './http-client.js';
+import { getValidationReport } from './schema.js';
+import { filterSuiPools, parseSuiPools } from './yields-pools.js';
+
+const handlers = {
+    'sui-pools': async ({ url, timeoutMs, keepPayload }) => {
+        const json = await fetchJson(url, { timeoutMs });
+        return {
+            rows: parseSuiPools(json),
+            // Sui-only payload for fixture recording on the main thread
+            payload: keepPayload ? { ...json, data: filterSuiPools(json) } : null,
+        };
+    },
+};
+
+self.onmessage = async ({ data: request }) => {
+    const { id, type } = request;
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Unknown yields worker request: ${type}`);
+        const result = await handler(request);
+        self.postMessage({ id, ...result, validation: getValidationReport() });
+    } catch (e) {
+        self.postMessage({ id, error: e.message || String(e), status: e.status, validation: getValidationReport() });
+    }
+};
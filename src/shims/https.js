@@ -0,0 +1,12 @@
+/**
+ * Browser stand-in for Node's `https` module.
+ * A transitive SDK dependency constructs an https.Agent for its axios client;
+ * in the browser the agent is ignored, so an inert class is enough.
+ */
+export class Agent {
+    constructor(options = {}) {
+        this.options = options;
+    }
+}
+
+export default { Agent };
@@ -1,24 +1,34 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'node:url';
+import { DEX_API_ORIGINS } from './src/lib/upstreams.js';
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: [
+      // The SDK's package.json "module" field points at a file it doesn't ship
+      { find: /^@fullsailfinance\/sdk$/, replacement: '@fullsailfinance/sdk/dist/index.js' },
+      // Node-only import pulled in by an SDK dependency
+      { find: /^https$/, replacement: fileURLToPath(new URL('./src/shims/https.js', import.meta.url)) },
+    ],
+  },
   server: {
     proxy: {
       '/api/cetus': {
-        target: 'https://api-sui.cetus.zone',
+        target: DEX_API_ORIGINS.cetus,
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api\/cetus/, ''),
         secure: true,
       },
       '/api/momentum': {
-        target: 'https://api.mmt.finance',
+        target: DEX_API_ORIGINS.momentum,
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api\/momentum/, ''),
         secure: true,
       },
       '/api/bluefin': {
-        target: 'https://swap.api.sui-prod.bluefin.io',
+        target: DEX_API_ORIGINS.bluefin,
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api\/bluefin/, ''),
         secure: true,